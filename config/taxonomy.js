@@ -0,0 +1,20 @@
+// Request categories and the tags that belong to each. Tags double as helper
+// skills, so a helper with the "plumbing" skill matches requests tagged
+// "plumbing" and helpers offering "home_repair" match that whole category.
+const CATEGORIES = {
+  home_repair: ['plumbing', 'electrical', 'carpentry', 'appliances', 'painting'],
+  transport: ['lift', 'moving', 'delivery'],
+  errands: ['groceries', 'pharmacy', 'shopping', 'paperwork'],
+  medical: ['first_aid', 'medication', 'elderly_care'],
+  tech: ['computers', 'phones', 'internet'],
+  care: ['childcare', 'pet_care', 'companionship'],
+  education: ['tutoring', 'languages'],
+  other: []
+};
+
+const CATEGORY_NAMES = Object.keys(CATEGORIES);
+const TAGS = [...new Set(Object.values(CATEGORIES).flat())];
+
+const isValidTag = (tag) => TAGS.includes(tag);
+
+module.exports = { CATEGORIES, CATEGORY_NAMES, TAGS, isValidTag };
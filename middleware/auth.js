@@ -1,5 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+
+/**
+ * Verifies an access token and loads its user. Shared by HTTP routes and the
+ * Socket.io handshake so both accept exactly the same tokens.
+ * @param {string} token
+ * @returns {Promise<{user?: object, sessionId?: string, error?: string}>}
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (like the 2FA login challenge) are not access tokens
+  if (decoded.purpose) {
+    return { error: 'Not authorized to access this route' };
+  }
+
+  // Reject access tokens whose session has been logged out or revoked
+  if (decoded.sid && await SessionService.isRevoked(decoded.sid)) {
+    return { error: 'Session has been revoked, please log in again' };
+  }
+
+  const user = await User.findById(decoded.id);
+
+  if (!user) {
+    return { error: 'No user found with this token' };
+  }
+
+  if (!user.isActive) {
+    return { error: 'User account is deactivated' };
+  }
+
+  // Reject tokens issued before the last password change
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: 'Password was changed recently, please log in again' };
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 const protect = async (req, res, next) => {
   try {
@@ -17,21 +56,12 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      const user = await User.findById(decoded.id);
-      
-      if (!user) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'No user found with this token'
-        });
-      }
+      const { user, sessionId, error } = await verifyAccessToken(token);
 
-      if (!user.isActive) {
+      if (error) {
         return res.status(401).json({
           status: 'error',
-          message: 'User account is deactivated'
+          message: error
         });
       }
 
@@ -39,6 +69,7 @@ const protect = async (req, res, next) => {
       user.updateLastSeen();
 
       req.user = user;
+      req.sessionId = sessionId;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -66,4 +97,43 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+// Block actions that need a verified email, unless the policy is switched off
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.EMAIL_VERIFICATION_POLICY === 'off' || req.user.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    status: 'error',
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to do this'
+  });
+};
+
+// Require a fresh 2FA code in req.body.twoFactorCode when the user has 2FA enabled
+const requireTwoFactorCode = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+      return next();
+    }
+
+    const isValid = await TwoFactorService.verify(req.user.id, req.body.twoFactorCode);
+
+    if (!isValid) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'A valid two-factor authentication code is required'
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      status: 'error',
+      message: 'Server error in two-factor verification'
+    });
+  }
+};
+
+module.exports = { protect, authorize, requireVerifiedEmail, requireTwoFactorCode, verifyAccessToken };
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { verifyAccessToken } = require('./auth');
+
+// Socket.io handshake middleware. Accepts the access token from
+// `auth.token` or a Bearer Authorization header and binds the socket to its user.
+const socketAuth = async (socket, next) => {
+  try {
+    let token = socket.handshake.auth && socket.handshake.auth.token;
+
+    const { authorization } = socket.handshake.headers;
+    if (!token && authorization && authorization.startsWith('Bearer')) {
+      token = authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return next(new Error('Not authorized'));
+    }
+
+    const { user, sessionId, error } = await verifyAccessToken(token);
+
+    if (error) {
+      return next(new Error(error));
+    }
+
+    socket.data.userId = user._id.toString();
+    socket.data.sessionId = sessionId;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized'));
+  }
+};
+
+module.exports = socketAuth;
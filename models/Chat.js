@@ -85,7 +85,7 @@ const chatSchema = new mongoose.Schema({
 });
 
 // Index for faster queries
-chatSchema.index({ participants: 1 });
+chatSchema.index({ participants: 1, 'lastMessage.timestamp': -1 });
 chatSchema.index({ request: 1 });
 chatSchema.index({ 'messages.timestamp': -1 });
 
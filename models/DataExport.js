@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  format: {
+    type: String,
+    enum: ['json', 'gzip'],
+    default: 'json'
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  // Times a build was started, so builds cut off by a restart are retried a few times
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  completedAt: Date,
+  expiresAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
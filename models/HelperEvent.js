@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Ledger of helper activity that User.stats metrics are built from. Offers
+// are pulled from a request when withdrawn, so these events are the only
+// lasting record of them.
+const helperEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['offered', 'confirmed', 'cancelled', 'completed']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true
+  },
+  // Minutes from the user being notified to offering help
+  responseMinutes: Number,
+  // A confirmed helper who dropped out too close to the start
+  noShow: Boolean
+}, {
+  timestamps: true
+});
+
+helperEventSchema.index({ user: 1, type: 1 });
+helperEventSchema.index({ request: 1 });
+
+module.exports = mongoose.model('HelperEvent', helperEventSchema);
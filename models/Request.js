@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LIMIT, decodeCursor, buildCursorQuery, toSortObject, buildPage } = require('../utils/pagination');
+const { CATEGORY_NAMES, isValidTag } = require('../config/taxonomy');
+
+// Age filters within this range are treated as "no age filter"
+const DEFAULT_AGE_RANGE = { min: 18, max: 65 };
+
+// Acceptances in these states hold one of the request's maxAcceptors slots
+const SLOT_STATUSES = ['confirmed', 'completed'];
+
+// Offers a helper may still withdraw
+const WITHDRAWABLE_STATUSES = ['pending', 'confirmed'];
+
+// Why a user passed on a request
+const DECLINE_REASONS = ['too_far', 'not_available', 'not_qualified', 'unclear', 'not_interested', 'other'];
 
 const requestSchema = new mongoose.Schema({
   title: {
@@ -17,9 +31,28 @@ const requestSchema = new mongoose.Schema({
     required: true,
     enum: ['emergency', 'help', 'social']
   },
+  category: {
+    type: String,
+    enum: CATEGORY_NAMES,
+    default: 'other'
+  },
+  tags: {
+    type: [String],
+    validate: {
+      validator: tags => tags.length <= 5 && tags.every(isValidTag),
+      message: 'Tags must be known tags, at most 5'
+    }
+  },
+  // Whether fan-out only reaches helpers whose skills match, or just reaches them first
+  skillMatch: {
+    type: String,
+    enum: ['prefer', 'require'],
+    default: 'prefer'
+  },
   status: {
     type: String,
-    enum: ['active', 'accepted', 'completed', 'expired', 'cancelled'],
+    // Scheduled requests are hidden until their broadcast time
+    enum: ['scheduled', 'active', 'accepted', 'completed', 'expired', 'cancelled'],
     default: 'active'
   },
   requester: {
@@ -67,19 +100,20 @@ const requestSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'completed', 'cancelled'],
+      enum: ['pending', 'confirmed', 'completed', 'cancelled', 'rejected'],
       default: 'pending'
-    }
+    },
+    decidedAt: Date
   }],
   filters: {
     ageRange: {
       min: {
         type: Number,
-        default: 18
+        default: DEFAULT_AGE_RANGE.min
       },
       max: {
         type: Number,
-        default: 65
+        default: DEFAULT_AGE_RANGE.max
       }
     },
     genderFilter: {
@@ -94,6 +128,83 @@ const requestSchema = new mongoose.Schema({
       max: 500
     }
   },
+  waitlist: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Users this request has been delivered to, so re-broadcasts skip them
+  notifiedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // When each of those users was first reached, keyed by user id
+  notifiedAt: {
+    type: Map,
+    of: Date,
+    select: false
+  },
+  // Ranked candidates chosen by the matching service, notified in waves
+  matching: {
+    wave: {
+      type: Number,
+      default: 0
+    },
+    totalWaves: {
+      type: Number,
+      default: 0
+    },
+    nextWaveAt: Date,
+    weights: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false
+    },
+    candidates: {
+      type: [{
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        score: Number,
+        // Each factor's 0-1 score before weighting
+        factors: {
+          distance: Number,
+          rating: Number,
+          responseTime: Number,
+          activity: Number,
+          load: Number,
+          skill: Number
+        },
+        distanceKm: Number,
+        wave: Number,
+        notifiedAt: Date
+      }],
+      select: false
+    }
+  },
+  escalation: {
+    level: {
+      type: Number,
+      default: 0
+    },
+    nextAt: Date,
+    exhaustedAt: Date,
+    steps: [{
+      level: Number,
+      radius: Number,
+      priority: String,
+      notifiedCount: Number,
+      at: Date
+    }]
+  },
   attachments: [{
     type: String // File paths or URLs
   }],
@@ -104,14 +215,51 @@ const requestSchema = new mongoose.Schema({
       return this.type === 'emergency' ? 'emergency' : 'medium';
     }
   },
+  // When help is needed, for requests posted ahead of time
+  startsAt: Date,
+  // When nearby users get notified about a scheduled request
+  broadcastAt: Date,
+  // When the request went live
+  publishedAt: Date,
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RequestSeries'
+  },
   expiresAt: {
     type: Date,
     default: function() {
+      // Scheduled requests stay open until an hour after they start
+      if (this.startsAt) {
+        return new Date(this.startsAt.getTime() + 60 * 60 * 1000);
+      }
+
       // Emergency requests expire in 4 hours, others in 24 hours
       const hours = this.type === 'emergency' ? 4 : 24;
       return new Date(Date.now() + hours * 60 * 60 * 1000);
     }
   },
+  // Edits made after posting, oldest first
+  revisions: [{
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }]
+  }],
+  expiryReminderSentAt: Date,
+  extensionCount: {
+    type: Number,
+    default: 0
+  },
   responses: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -126,8 +274,69 @@ const requestSchema = new mongoose.Schema({
     createdAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    editedAt: Date,
+    // Answers to a question, from the requester or follow-ups from the asker
+    replies: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      message: {
+        type: String,
+        maxlength: [500, 'Reply cannot be more than 500 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      editedAt: Date
+    }]
   }],
+  // Users who passed on the request; kept private and only reported to the
+  // requester as totals per reason
+  declines: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        enum: DECLINE_REASONS,
+        default: 'other'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Moderation reports, only read by admins and the duplicate-report check
+  reports: {
+    type: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reason: {
+        type: String,
+        enum: ['spam', 'inappropriate', 'scam', 'unsafe', 'other'],
+        default: 'other'
+      },
+      details: {
+        type: String,
+        maxlength: [500, 'Report details cannot be more than 500 characters']
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   completedAt: Date,
   rating: {
     type: Number,
@@ -153,17 +362,33 @@ const requestSchema = new mongoose.Schema({
 requestSchema.index({ location: '2dsphere' });
 requestSchema.index({ status: 1 });
 requestSchema.index({ type: 1 });
-requestSchema.index({ requester: 1 });
+requestSchema.index({ category: 1 });
+requestSchema.index({ tags: 1 });
+requestSchema.index({ requester: 1, createdAt: -1 });
+requestSchema.index({ 'acceptedBy.user': 1, createdAt: -1 });
 requestSchema.index({ expiresAt: 1 });
+requestSchema.index({ 'escalation.nextAt': 1 }, { sparse: true });
+requestSchema.index({ status: 1, broadcastAt: 1 });
+requestSchema.index({ 'matching.nextWaveAt': 1 }, { sparse: true });
+// One request per occurrence, even if the scheduler runs twice
+requestSchema.index(
+  { series: 1, startsAt: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
-// Virtual for accepted count
+// Virtual for accepted count (helpers confirmed by the requester)
 requestSchema.virtual('acceptedCount').get(function() {
-  return this.acceptedBy.length;
+  return this.acceptedBy.filter(acceptance => SLOT_STATUSES.includes(acceptance.status)).length;
+});
+
+// Virtual for offers still waiting on the requester
+requestSchema.virtual('pendingCount').get(function() {
+  return this.acceptedBy.filter(acceptance => acceptance.status === 'pending').length;
 });
 
 // Virtual for available spots
 requestSchema.virtual('availableSpots').get(function() {
-  return this.maxAcceptors - this.acceptedBy.length;
+  return this.maxAcceptors - this.acceptedCount;
 });
 
 // Virtual for time ago
@@ -182,30 +407,381 @@ requestSchema.virtual('timeAgo').get(function() {
   return `${days} day${days > 1 ? 's' : ''} ago`;
 });
 
-// Find nearby requests
-requestSchema.statics.findNearby = function(coordinates, radius = 5, filters = {}) {
-  const query = {
-    location: {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: coordinates
+// Find a user's acceptance on this request
+requestSchema.methods.getAcceptance = function(userId) {
+  const id = userId.toString();
+
+  return this.acceptedBy.find(acceptance => {
+    const acceptorId = acceptance.user._id ? acceptance.user._id.toString() : acceptance.user.toString();
+    return acceptorId === id;
+  });
+};
+
+// Check if a user is the requester or a confirmed helper on this request
+requestSchema.methods.isParticipant = function(userId) {
+  // A populated requester is null once their account has been deleted
+  const requesterId = this.requester && (this.requester._id || this.requester).toString();
+  if (requesterId === userId.toString()) return true;
+
+  const acceptance = this.getAcceptance(userId);
+  return Boolean(acceptance) && SLOT_STATUSES.includes(acceptance.status);
+};
+
+// Check if a user falls within the request's audience filters.
+// Users who hide their age or gender are never targeted by a filter on that
+// attribute, so being reached by a request cannot reveal it.
+requestSchema.methods.matchesAudience = function(user) {
+  const { ageRange = {}, genderFilter = 'all' } = this.filters || {};
+  const settings = user.settings || {};
+
+  if (genderFilter !== 'all') {
+    if (settings.showGender === false || user.gender !== genderFilter) return false;
+  }
+
+  const min = ageRange.min ?? DEFAULT_AGE_RANGE.min;
+  const max = ageRange.max ?? DEFAULT_AGE_RANGE.max;
+  const isAgeFiltered = min > DEFAULT_AGE_RANGE.min || max < DEFAULT_AGE_RANGE.max;
+
+  if (isAgeFiltered) {
+    if (settings.showAge === false || user.age < min || user.age > max) return false;
+  }
+
+  return true;
+};
+
+// Whether the request names a category or tags that helpers can match on
+requestSchema.methods.isSkillTargeted = function() {
+  return (this.tags && this.tags.length > 0) || (this.category && this.category !== 'other');
+};
+
+// Check if a helper's skills or offered categories fit this request
+requestSchema.methods.matchesSkills = function(user) {
+  const skills = user.skills || [];
+  const offers = user.offers || [];
+
+  return (this.tags || []).some(tag => skills.includes(tag)) ||
+    (this.category !== 'other' && offers.includes(this.category));
+};
+
+// Query conditions matching requests whose audience includes the user.
+// Mirrors matchesAudience so the feed and fan-out apply the same rules.
+requestSchema.statics.audienceConditionsFor = function(user) {
+  const settings = user.settings || {};
+
+  const genderFilters = ['all'];
+  if (settings.showGender !== false) genderFilters.push(user.gender);
+
+  const ageConditions = [{
+    'filters.ageRange.min': { $lte: DEFAULT_AGE_RANGE.min },
+    'filters.ageRange.max': { $gte: DEFAULT_AGE_RANGE.max }
+  }];
+  if (settings.showAge !== false) {
+    ageConditions.push({
+      'filters.ageRange.min': { $lte: user.age },
+      'filters.ageRange.max': { $gte: user.age }
+    });
+  }
+
+  return {
+    'filters.genderFilter': { $in: genderFilters },
+    $or: ageConditions
+  };
+};
+
+// Ids of users who declined a request, so they are not notified about it again
+requestSchema.statics.getDeclinedUserIds = async function(requestId) {
+  const request = await this.findById(requestId).select('declines.user');
+  return new Set((request ? request.declines : []).map(decline => decline.user.toString()));
+};
+
+// Aggregation expression counting acceptances that hold a slot
+const slotCountExpr = {
+  $size: {
+    $filter: {
+      input: '$acceptedBy',
+      cond: { $in: ['$$this.status', SLOT_STATUSES] }
+    }
+  }
+};
+
+// Numeric urgency so sorting does not compare priority names alphabetically
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, emergency: 4 };
+
+// Sort keys for each nearby feed order; the last key makes cursors unique
+const NEARBY_SORTS = {
+  distance: [{ field: 'distance', order: 1 }, { field: '_id', order: 1, type: 'objectId' }],
+  newest: [{ field: 'createdAt', order: -1, type: 'date' }, { field: '_id', order: -1, type: 'objectId' }],
+  urgency: [
+    { field: 'priorityRank', order: -1 },
+    { field: 'createdAt', order: -1, type: 'date' },
+    { field: '_id', order: -1, type: 'objectId' }
+  ],
+  expiring: [{ field: 'expiresAt', order: 1, type: 'date' }, { field: '_id', order: 1, type: 'objectId' }]
+};
+
+/**
+ * Searches open requests around a point for the nearby feed.
+ * @param {Array<number>} coordinates [longitude, latitude]
+ * @param {number} radius Search radius in km.
+ * @param {object} [options]
+ * @param {object} [options.viewer] User whose own and declined requests are
+ * skipped and whose audience filters must match.
+ * @param {string} [options.search] Text to look for in title and description.
+ * @param {Array<string>} [options.types]
+ * @param {Array<string>} [options.priorities]
+ * @param {string} [options.category]
+ * @param {Array<string>} [options.tags] Matches requests with any of these.
+ * @param {number} [options.minSpots] Minimum open helper slots.
+ * @param {{min?: number, max?: number}} [options.requesterAge]
+ * @param {string} [options.sort] One of distance, newest, urgency, expiring.
+ * @param {number} [options.limit]
+ * @param {string} [options.cursor] Cursor from the previous page.
+ * @returns {Promise<{requests: Array<object>, pagination: object}|null>} Null
+ * when the cursor is invalid. Each request has a `distanceKm` property.
+ */
+requestSchema.statics.searchNearby = async function(coordinates, radius = 5, options = {}) {
+  const sort = NEARBY_SORTS[options.sort] || NEARBY_SORTS.urgency;
+  const limit = options.limit || DEFAULT_LIMIT;
+
+  const after = options.cursor ? decodeCursor(sort, options.cursor) : null;
+  if (options.cursor && !after) return null;
+
+  const conditions = [{ status: 'active', expiresAt: { $gt: new Date() } }];
+
+  if (options.viewer) {
+    conditions.push({ requester: { $ne: options.viewer._id } }); // Exclude own requests
+    conditions.push({ 'declines.user': { $ne: options.viewer._id } }); // Exclude declined requests
+    conditions.push(this.audienceConditionsFor(options.viewer)); // Respect audience filters
+  }
+  if (options.types && options.types.length) conditions.push({ type: { $in: options.types } });
+  if (options.priorities && options.priorities.length) conditions.push({ priority: { $in: options.priorities } });
+  if (options.category) conditions.push({ category: options.category });
+  if (options.tags && options.tags.length) conditions.push({ tags: { $in: options.tags } });
+  if (options.search) {
+    const pattern = new RegExp(options.search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+  }
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance', // meters
+        maxDistance: radius * 1000,
+        spherical: true,
+        query: { $and: conditions }
+      }
+    },
+    {
+      $addFields: {
+        priorityRank: {
+          $switch: {
+            branches: Object.entries(PRIORITY_RANK).map(([priority, rank]) => ({
+              case: { $eq: ['$priority', priority] },
+              then: rank
+            })),
+            default: 0
+          }
         },
-        $maxDistance: radius * 1000 // Convert km to meters
+        availableSpots: { $subtract: ['$maxAcceptors', slotCountExpr] }
       }
+    }
+  ];
+
+  if (options.minSpots) {
+    pipeline.push({ $match: { availableSpots: { $gte: options.minSpots } } });
+  }
+
+  if (options.requesterAge && (options.requesterAge.min || options.requesterAge.max)) {
+    const age = {};
+    if (options.requesterAge.min) age.$gte = options.requesterAge.min;
+    if (options.requesterAge.max) age.$lte = options.requesterAge.max;
+
+    // Requesters who hide their age never match an age filter
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'requester',
+          foreignField: '_id',
+          as: 'requesterProfile'
+        }
+      },
+      { $match: { 'requesterProfile.age': age, 'requesterProfile.settings.showAge': { $ne: false } } }
+    );
+  }
+
+  if (after) pipeline.push({ $match: buildCursorQuery(sort, after) });
+
+  pipeline.push(
+    { $sort: toSortObject(sort) },
+    { $limit: limit + 1 },
+    { $project: { distance: 1, ...Object.fromEntries(sort.map(({ field }) => [field, 1])) } }
+  );
+
+  const { items, pagination } = buildPage(await this.aggregate(pipeline), limit, sort);
+
+  // Load full documents so the feed keeps its populated fields and virtuals
+  const requests = await this.find({ _id: { $in: items.map(item => item._id) } })
+    .populate('requester', 'name age gender profileImage')
+    .populate('acceptedBy.user', 'name profileImage');
+  const byId = new Map(requests.map(request => [request._id.toString(), request]));
+
+  return {
+    requests: items
+      .filter(item => byId.has(item._id.toString()))
+      .map(item => ({
+        ...byId.get(item._id.toString()).toJSON(),
+        distanceKm: Math.round(item.distance / 10) / 100
+      })),
+    pagination
+  };
+};
+
+// Set status to accepted/active from the current slot count. Used after
+// atomic updates, which bypass the pre-save hooks below.
+requestSchema.statics.syncAcceptanceStatus = async function(requestId) {
+  await this.updateOne(
+    { _id: requestId, status: 'active', $expr: { $gte: [slotCountExpr, '$maxAcceptors'] } },
+    { status: 'accepted' }
+  );
+  await this.updateOne(
+    {
+      _id: requestId,
+      status: 'accepted',
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: [slotCountExpr, '$maxAcceptors'] }
     },
-    status: 'active',
-    expiresAt: { $gt: new Date() }
+    { status: 'active' }
+  );
+
+  return this.findById(requestId);
+};
+
+// Atomically add a pending offer. Returns null if the request is not open to
+// this user (own request, inactive, expired, or already offered).
+requestSchema.statics.addAcceptance = function(requestId, userId, message) {
+  const update = {
+    $push: { acceptedBy: { user: userId, acceptedAt: new Date() } },
+    // Offering to help undoes an earlier decline
+    $pull: { waitlist: { user: userId }, declines: { user: userId } }
   };
 
-  // Apply additional filters
-  if (filters.type) query.type = filters.type;
-  if (filters.requester) query.requester = { $ne: filters.requester }; // Exclude own requests
+  if (message) {
+    update.$push.responses = { user: userId, message, responseType: 'accept' };
+  }
+
+  return this.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      requester: { $ne: userId },
+      'acceptedBy.user': { $ne: userId }
+    },
+    update,
+    { new: true }
+  );
+};
 
-  return this.find(query)
-    .populate('requester', 'name age gender profileImage')
-    .populate('acceptedBy.user', 'name profileImage')
-    .sort({ priority: -1, createdAt: -1 });
+// Atomically confirm a pending offer, only while a slot is free
+requestSchema.statics.confirmAcceptance = async function(requestId, userId) {
+  const request = await this.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: { $in: ['active', 'accepted'] },
+      acceptedBy: { $elemMatch: { user: userId, status: 'pending' } },
+      $expr: { $lt: [slotCountExpr, '$maxAcceptors'] }
+    },
+    { $set: { 'acceptedBy.$.status': 'confirmed', 'acceptedBy.$.decidedAt': new Date() } },
+    { new: true }
+  );
+
+  return request ? this.syncAcceptanceStatus(requestId) : null;
+};
+
+// Atomically reject a pending or confirmed offer
+requestSchema.statics.rejectAcceptance = async function(requestId, userId) {
+  const request = await this.findOneAndUpdate(
+    {
+      _id: requestId,
+      acceptedBy: { $elemMatch: { user: userId, status: { $in: ['pending', 'confirmed'] } } }
+    },
+    { $set: { 'acceptedBy.$.status': 'rejected', 'acceptedBy.$.decidedAt': new Date() } }
+  );
+
+  if (!request) return null;
+
+  const previous = request.getAcceptance(userId);
+  return {
+    request: await this.syncAcceptanceStatus(requestId),
+    freedSlot: SLOT_STATUSES.includes(previous.status)
+  };
+};
+
+// Atomically withdraw a user's pending or confirmed offer. Rejected and
+// completed offers stay on record.
+requestSchema.statics.removeAcceptance = async function(requestId, userId) {
+  const request = await this.findOneAndUpdate(
+    { _id: requestId, acceptedBy: { $elemMatch: { user: userId, status: { $in: WITHDRAWABLE_STATUSES } } } },
+    { $pull: { acceptedBy: { user: userId, status: { $in: WITHDRAWABLE_STATUSES } } } }
+  );
+
+  if (!request) return null;
+
+  const previous = request.getAcceptance(userId);
+  return {
+    request: await this.syncAcceptanceStatus(requestId),
+    acceptance: previous,
+    freedSlot: SLOT_STATUSES.includes(previous.status)
+  };
+};
+
+// Atomically join the waitlist of a full request
+requestSchema.statics.joinWaitlist = function(requestId, userId) {
+  return this.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: 'accepted',
+      expiresAt: { $gt: new Date() },
+      requester: { $ne: userId },
+      'acceptedBy.user': { $ne: userId },
+      'waitlist.user': { $ne: userId }
+    },
+    { $push: { waitlist: { user: userId, joinedAt: new Date() } } },
+    { new: true }
+  );
+};
+
+// Atomically move the first waitlisted user into a pending offer
+requestSchema.statics.promoteFromWaitlist = async function(requestId) {
+  for (;;) {
+    // Only pop while the request can still take offers, so a request that is
+    // past its expiry but not yet expired by the scheduler keeps its waitlist
+    const request = await this.findOneAndUpdate(
+      { _id: requestId, status: 'active', expiresAt: { $gt: new Date() }, 'waitlist.0': { $exists: true } },
+      { $pop: { waitlist: -1 } }
+    );
+
+    if (!request) return null;
+
+    const next = request.waitlist[0];
+    const promoted = await this.addAcceptance(requestId, next.user);
+
+    if (promoted) {
+      return { request: promoted, userId: next.user };
+    }
+
+    // If the request closed in the meantime, give the user their place back;
+    // otherwise skip them, e.g. they already offered
+    if (!await this.exists({ _id: requestId, status: 'active', expiresAt: { $gt: new Date() } })) {
+      await this.updateOne(
+        { _id: requestId, 'waitlist.user': { $ne: next.user } },
+        { $push: { waitlist: { $each: [next.toObject()], $position: 0 } } }
+      );
+      return null;
+    }
+  }
 };
 
 // Auto-expire requests
@@ -216,10 +792,12 @@ requestSchema.pre('save', function(next) {
   next();
 });
 
-// Update request status when max acceptors reached
+// Update request status when confirmed helpers fill or free up the slots
 requestSchema.pre('save', function(next) {
-  if (this.acceptedBy.length >= this.maxAcceptors && this.status === 'active') {
+  if (this.acceptedCount >= this.maxAcceptors && this.status === 'active') {
     this.status = 'accepted';
+  } else if (this.acceptedCount < this.maxAcceptors && this.status === 'accepted' && this.expiresAt > new Date()) {
+    this.status = 'active';
   }
   next();
 });
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const { CATEGORY_NAMES } = require('../config/taxonomy');
+
+// A recurring request. The scheduler turns each occurrence into a normal
+// Request linked back here through Request.series.
+const requestSeriesSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied onto every occurrence
+  template: {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    description: {
+      type: String,
+      required: true,
+      maxlength: [1000, 'Description cannot be more than 1000 characters']
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ['emergency', 'help', 'social']
+    },
+    category: {
+      type: String,
+      enum: CATEGORY_NAMES,
+      default: 'other'
+    },
+    tags: [String],
+    skillMatch: {
+      type: String,
+      enum: ['prefer', 'require'],
+      default: 'prefer'
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point'
+      },
+      coordinates: [Number], // [longitude, latitude]
+      address: String
+    },
+    radius: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: 5
+    },
+    maxAcceptors: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 3
+    },
+    filters: mongoose.Schema.Types.Mixed,
+    attachments: [String]
+  },
+  // Start time of the first occurrence; later ones keep its time of day
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: 1
+    },
+    // Weekly only: 0 (Sunday) to 6 (Saturday)
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    until: Date,
+    count: {
+      type: Number,
+      min: 1,
+      max: 100
+    }
+  },
+  // Minutes before each start time that nearby users are notified
+  leadMinutes: {
+    type: Number,
+    min: 0
+  },
+  nextOccurrenceAt: Date,
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+requestSeriesSchema.index({ requester: 1, createdAt: -1 });
+requestSeriesSchema.index({ status: 1, nextOccurrenceAt: 1 });
+
+/**
+ * Works out the start time of the occurrence after `after`, or null when the
+ * series has run out. Dates are stepped in UTC.
+ * @param {Date} after Start time of the previous occurrence.
+ * @param {number} occurrenceCount Occurrences created so far.
+ * @returns {Date|null}
+ */
+requestSeriesSchema.methods.getOccurrenceAfter = function(after, occurrenceCount) {
+  const { frequency, interval = 1, daysOfWeek = [], until, count } = this.recurrence;
+  const dayMs = 24 * 60 * 60 * 1000;
+  let next = null;
+
+  if (count && occurrenceCount >= count) return null;
+
+  if (frequency === 'daily') {
+    next = new Date(after.getTime() + interval * dayMs);
+  } else if (frequency === 'weekly' && daysOfWeek.length) {
+    // Step a day at a time, keeping only listed weekdays in every interval-th week
+    const firstWeekStart = this.startsAt.getTime() - this.startsAt.getUTCDay() * dayMs;
+
+    for (let days = 1; days <= 7 * interval + 7; days++) {
+      const candidate = new Date(after.getTime() + days * dayMs);
+      const week = Math.floor((candidate.getTime() - firstWeekStart) / (7 * dayMs));
+
+      if (week % interval === 0 && daysOfWeek.includes(candidate.getUTCDay())) {
+        next = candidate;
+        break;
+      }
+    }
+  } else if (frequency === 'weekly') {
+    next = new Date(after.getTime() + 7 * interval * dayMs);
+  } else if (frequency === 'monthly') {
+    // Same day of month as the first occurrence, clamped to short months
+    const year = after.getUTCFullYear();
+    const month = after.getUTCMonth() + interval;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    next = new Date(Date.UTC(
+      year,
+      month,
+      Math.min(this.startsAt.getUTCDate(), lastDay),
+      this.startsAt.getUTCHours(),
+      this.startsAt.getUTCMinutes()
+    ));
+  }
+
+  if (!next || (until && next > until)) return null;
+
+  return next;
+};
+
+module.exports = mongoose.model('RequestSeries', requestSeriesSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A rating one participant of a completed request gives another: the
+// requester rates each helper, and each helper rates the requester
+const reviewSchema = new mongoose.Schema({
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The reviewee's role on the request
+  role: {
+    type: String,
+    enum: ['helper', 'requester'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One review per reviewer and reviewee on each request
+reviewSchema.index({ request: 1, reviewer: 1, reviewee: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, createdAt: -1 });
+reviewSchema.index({ reviewer: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
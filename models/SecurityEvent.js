@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['account_locked', 'ip_blocked', 'account_unlocked']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  ip: String,
+  failedAttempts: Number,
+  lockedUntil: Date,
+  reason: String
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
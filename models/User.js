@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { CATEGORY_NAMES, isValidTag } = require('../config/taxonomy');
+const { decodeCursor, buildCursorQuery, toSortObject, buildPage } = require('../utils/pagination');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -18,16 +21,70 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email'
     ]
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
     minlength: 6,
     select: false
   },
+  passwordChangedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   phone: {
     type: String,
     required: [true, 'Please provide a phone number']
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
   age: {
     type: Number,
     required: [true, 'Please provide your age'],
@@ -44,6 +101,19 @@ const userSchema = new mongoose.Schema({
     maxlength: [500, 'Bio cannot be more than 500 characters'],
     default: ''
   },
+  // Taxonomy tags the user can help with, e.g. "plumbing"
+  skills: {
+    type: [String],
+    validate: {
+      validator: skills => skills.length <= 20 && skills.every(isValidTag),
+      message: 'Skills must be known tags, at most 20'
+    }
+  },
+  // Request categories the user is happy to help with in general
+  offers: [{
+    type: String,
+    enum: CATEGORY_NAMES
+  }],
   location: {
     type: {
       type: String,
@@ -63,6 +133,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -71,6 +146,8 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
   settings: {
     emergencyNotifications: {
       type: Boolean,
@@ -137,9 +214,42 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Ratings received from helpers on the user's own requests
+    requesterRating: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
+    totalRequesterRatings: {
+      type: Number,
+      default: 0
+    },
     averageResponseTime: {
       type: Number,
       default: 0 // in minutes
+    },
+    // Offers that averageResponseTime was measured over
+    responseTimeSamples: {
+      type: Number,
+      default: 0
+    },
+    // Times the user was confirmed as a helper, and how those ended
+    commitments: {
+      type: Number,
+      default: 0
+    },
+    completions: {
+      type: Number,
+      default: 0
+    },
+    cancellations: {
+      type: Number,
+      default: 0
+    },
+    noShows: {
+      type: Number,
+      default: 0
     }
   }
 }, {
@@ -150,12 +260,18 @@ const userSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   this.password = await bcrypt.hash(this.password, 12);
+
+  // Backdate by a second so tokens issued right after the change stay valid
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
   next();
 });
 
@@ -164,6 +280,41 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if password was changed after the token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Cancel a pending account deletion
+userSchema.methods.cancelScheduledDeletion = function() {
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
 // Update last seen
 userSchema.methods.updateLastSeen = function() {
   this.lastSeen = new Date();
@@ -183,8 +334,68 @@ userSchema.statics.findNearby = function(coordinates, radius = 5) {
       }
     },
     isActive: true,
+    deletionScheduledFor: null,
     'settings.locationSharing': true
   });
 };
 
+// Sort for pages of nearby users, closest first
+const NEARBY_USER_SORT = [
+  { field: 'distance', order: 1 },
+  { field: '_id', order: 1, type: 'objectId' }
+];
+
+/**
+ * Pages through users around a point, closest first.
+ * @param {Array<number>} coordinates [longitude, latitude]
+ * @param {number} radius Search radius in km.
+ * @param {object} options
+ * @param {string} [options.excludeId] User to leave out, usually the caller.
+ * @param {string} options.fields Space-separated fields to return.
+ * @param {number} options.limit
+ * @param {string} [options.cursor] Cursor from the previous page.
+ * @returns {Promise<{items: Array<object>, pagination: object}|null>} Null
+ * when the cursor is invalid. Each user has a `distanceKm` property.
+ */
+userSchema.statics.findNearbyPage = async function(coordinates, radius, { excludeId, fields, limit, cursor }) {
+  const after = decodeCursor(NEARBY_USER_SORT, cursor);
+  if (cursor && !after) return null;
+
+  const query = {
+    isActive: true,
+    deletionScheduledFor: null,
+    'settings.locationSharing': true
+  };
+  if (excludeId) query._id = { $ne: new mongoose.Types.ObjectId(excludeId) };
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance', // meters
+        maxDistance: radius * 1000,
+        spherical: true,
+        query
+      }
+    }
+  ];
+
+  if (after) pipeline.push({ $match: buildCursorQuery(NEARBY_USER_SORT, after) });
+
+  pipeline.push(
+    { $sort: toSortObject(NEARBY_USER_SORT) },
+    { $limit: limit + 1 },
+    { $project: { distance: 1, ...Object.fromEntries(fields.split(' ').map(field => [field, 1])) } }
+  );
+
+  const page = buildPage(await this.aggregate(pipeline), limit, NEARBY_USER_SORT);
+
+  page.items = page.items.map(({ distance, ...user }) => ({
+    ...user,
+    distanceKm: Math.round(distance / 10) / 100
+  }));
+
+  return page;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,487 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const Chat = require('../models/Chat');
+const { authorize } = require('../middleware/auth');
+const SessionService = require('../services/sessionService');
+const LoginThrottleService = require('../services/loginThrottleService');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const router = express.Router();
+
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+const REQUEST_STATUSES = ['scheduled', 'active', 'accepted', 'completed', 'expired', 'cancelled'];
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Staff can only manage accounts ranked below their own role
+const canManage = (actor, target) => {
+  return actor.id !== target._id.toString() && ROLE_RANK[actor.role] > ROLE_RANK[target.role];
+};
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (moderator, admin)
+router.get('/users', [
+  query('search').optional().isString().withMessage('Search must be text'),
+  query('role').optional().isIn(Object.keys(ROLE_RANK)).withMessage('Role must be user, moderator or admin'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { search, role, isActive, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name email phone role isActive lastSeen createdAt stats')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: users.length,
+      total,
+      data: {
+        users
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a single user with their recent requests
+// @route   GET /api/admin/users/:id
+// @access  Private (moderator, admin)
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const requests = await Request.find({ requester: user._id })
+      .select('title type status +reports createdAt expiresAt')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user,
+        requests
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Deactivate a user account
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private (moderator, admin)
+router.put('/users/:id/deactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (!canManage(req.user, user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not allowed to manage this account'
+      });
+    }
+
+    user.isActive = false;
+    await user.save({ validateBeforeSave: false });
+
+    // Sign the user out everywhere
+    await SessionService.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deactivated successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reactivate a user account
+// @route   PUT /api/admin/users/:id/reactivate
+// @access  Private (moderator, admin)
+router.put('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (!canManage(req.user, user)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You are not allowed to manage this account'
+      });
+    }
+
+    user.isActive = true;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account reactivated successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin)
+router.put('/users/:id/role', authorize('admin'), [
+  body('role').isIn(['user', 'moderator', 'admin']).withMessage('Role must be user, moderator, or admin')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Role updated successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List reported requests
+// @route   GET /api/admin/requests/reported
+// @access  Private (moderator, admin)
+router.get('/requests/reported', [
+  query('status').optional().isIn(REQUEST_STATUSES).withMessage('Status must be a valid request status'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, limit = 20, page = 1 } = req.query;
+
+    const filter = { 'reports.0': { $exists: true } };
+    if (status) filter.status = status;
+
+    const requests = await Request.find(filter)
+      .select('+reports')
+      .populate('requester', 'name email phone isActive')
+      .populate('reports.user', 'name email')
+      .sort({ updatedAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    res.status(200).json({
+      status: 'success',
+      results: requests.length,
+      data: {
+        requests
+      }
+    });
+  } catch (error) {
+    console.error('Admin list reported requests error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get chats attached to a reported request
+// @route   GET /api/admin/requests/:id/chats
+// @access  Private (moderator, admin)
+router.get('/requests/:id/chats', async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).select('title status +reports');
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    // Private conversations are only opened for review once someone has reported the request
+    if (!request.reports.length) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Chats can only be reviewed for reported requests'
+      });
+    }
+
+    const chats = await Chat.find({ request: request._id })
+      .populate('participants', 'name email phone')
+      .populate('messages.sender', 'name');
+
+    res.status(200).json({
+      status: 'success',
+      results: chats.length,
+      data: {
+        request,
+        chats
+      }
+    });
+  } catch (error) {
+    console.error('Admin get request chats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get the ranked candidates recorded when matching a request
+// @route   GET /api/admin/requests/:id/matching
+// @access  Private (moderator, admin)
+router.get('/requests/:id/matching', async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id)
+      .select('title type status escalation matching.wave matching.totalWaves matching.nextWaveAt matching.weights matching.candidates')
+      .populate('matching.candidates.user', 'name');
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        request
+      }
+    });
+  } catch (error) {
+    console.error('Admin get request matching error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Force-expire a request
+// @route   PUT /api/admin/requests/:id/expire
+// @access  Private (moderator, admin)
+router.put('/requests/:id/expire', async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (!['active', 'accepted'].includes(request.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only open requests can be expired'
+      });
+    }
+
+    request.status = 'expired';
+    request.expiresAt = new Date();
+    await request.save();
+
+    req.app.get('io').emit('requestStatusUpdate', {
+      requestId: request._id,
+      status: request.status,
+      acceptedCount: request.acceptedCount
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request expired successfully',
+      data: {
+        request
+      }
+    });
+  } catch (error) {
+    console.error('Admin expire request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Remove a request and its chats
+// @route   DELETE /api/admin/requests/:id
+// @access  Private (moderator, admin)
+router.delete('/requests/:id', async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    await Chat.deleteMany({ request: request._id });
+    await Request.findByIdAndDelete(request._id);
+
+    req.app.get('io').emit('requestStatusUpdate', {
+      requestId: request._id,
+      status: 'cancelled',
+      acceptedCount: request.acceptedCount
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request removed successfully'
+    });
+  } catch (error) {
+    console.error('Admin remove request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get accounts targeted by login lockouts
+// @route   GET /api/admin/security/lockouts
+// @access  Private (moderator, admin)
+router.get('/security/lockouts', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [accounts, recentEvents] = await Promise.all([
+      LoginThrottleService.getTargetedAccounts(since),
+      SecurityEvent.find({ createdAt: { $gte: since } })
+        .populate('user', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(50)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      results: accounts.length,
+      data: {
+        accounts,
+        recentEvents
+      }
+    });
+  } catch (error) {
+    console.error('Admin get lockouts error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
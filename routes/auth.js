@@ -1,16 +1,29 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { protect, requireTwoFactorCode } = require('../middleware/auth');
+const SessionService = require('../services/sessionService');
+const PhoneVerificationService = require('../services/phoneVerificationService');
+const LoginThrottleService = require('../services/loginThrottleService');
+const TwoFactorService = require('../services/twoFactorService');
+const mailer = require('../utils/mailer');
+const { normalizePhone, maskPhone } = require('../utils/phone');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
+// Build the public link that confirms an email verification token
+const getVerificationUrl = (req, token) => {
+  return `${req.protocol}://${req.get('host')}/api/auth/verify-email/${token}`;
+};
+
+// Issue a fresh verification token and email it to the user
+const sendVerificationEmail = async (req, user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await mailer.sendEmailVerification(user, getVerificationUrl(req, verificationToken));
 };
 
 // @desc    Register user
@@ -20,7 +33,9 @@ router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('phone').isLength({ min: 10, max: 15 }).withMessage('Phone number must be between 10 and 15 digits'),
+  body('phone')
+    .custom(value => normalizePhone(value) !== null).withMessage('Please provide a valid phone number')
+    .customSanitizer(normalizePhone),
   body('age').isInt({ min: 13, max: 120 }).withMessage('Age must be between 13 and 120'),
   body('gender').isIn(['male', 'female', 'other']).withMessage('Gender must be male, female, or other')
 ], async (req, res) => {
@@ -60,8 +75,11 @@ router.post('/register', [
       }
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Ask the user to confirm they own the email address
+    await sendVerificationEmail(req, user);
+
+    // Start a session for this device
+    const { token, refreshToken } = await SessionService.createSession(user, req);
 
     // Remove password from output
     user.password = undefined;
@@ -70,6 +88,7 @@ router.post('/register', [
       status: 'success',
       message: 'User registered successfully',
       token,
+      refreshToken,
       data: {
         user
       }
@@ -102,10 +121,25 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse attempts against locked accounts or from blocked IPs
+    const throttle = await LoginThrottleService.checkAttempt(email, req.ip);
+
+    if (!throttle.allowed) {
+      return res.status(429).json({
+        status: 'error',
+        code: throttle.code,
+        message: throttle.code === 'ACCOUNT_LOCKED'
+          ? 'Account is temporarily locked after too many failed attempts. Try again later or reset your password to unlock it.'
+          : 'Too many failed login attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
     // Check if user exists and get password
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
+      await LoginThrottleService.recordFailure(email, req.ip);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
@@ -124,25 +158,46 @@ router.post('/login', [
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+      await LoginThrottleService.recordFailure(email, req.ip, user);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
       });
     }
 
+    await LoginThrottleService.recordSuccess(email);
+
+    // With 2FA on, the password only earns a challenge token for the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallengeToken(user)
+      });
+    }
+
+    // Logging back in during the grace period cancels a pending deletion
+    const deletionCancelled = Boolean(user.deletionScheduledFor);
+    if (deletionCancelled) {
+      await user.cancelScheduledDeletion();
+    }
+
     // Update last seen
     await user.updateLastSeen();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session for this device
+    const { token, refreshToken } = await SessionService.createSession(user, req);
 
     // Remove password from output
     user.password = undefined;
 
     res.status(200).json({
       status: 'success',
-      message: 'Login successful',
+      message: deletionCancelled ? 'Login successful, account deletion cancelled' : 'Login successful',
       token,
+      refreshToken,
+      deletionCancelled,
       data: {
         user
       }
@@ -211,22 +266,147 @@ router.post('/forgot-password', [
     const { email } = req.body;
 
     const user = await User.findOne({ email });
-    
+
+    // Only send a reset email to active accounts, but always respond the same
+    // way so the endpoint cannot be used to discover registered emails
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      await mailer.sendPasswordReset(user, resetToken);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reset password
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', [
+  body('token').trim().isLength({ min: 1 }).withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+    const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() }
+    });
+
     if (!user) {
-      return res.status(404).json({
+      return res.status(400).json({
         status: 'error',
-        message: 'No user found with this email'
+        message: 'Reset token is invalid or has expired'
       });
     }
 
-    // In a real app, you would send an email with reset link
-    // For now, we'll just return a success message
+    // Setting the password also bumps passwordChangedAt, which invalidates
+    // every token issued before this reset
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every device, including refresh tokens
+    await SessionService.revokeAllForUser(user._id, 'password_changed');
+
+    // Proving ownership of the email also lifts any login lockout
+    await LoginThrottleService.unlockAccount(user, 'password_reset');
+
     res.status(200).json({
       status: 'success',
-      message: 'Password reset link sent to your email'
+      message: 'Password has been reset, please log in with your new password'
     });
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req, user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -237,7 +417,7 @@ router.post('/forgot-password', [
 // @desc    Update password
 // @route   PUT /api/auth/update-password
 // @access  Private
-router.put('/update-password', [
+router.put('/update-password', protect, requireTwoFactorCode, [
   body('currentPassword').exists().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
 ], async (req, res) => {
@@ -269,13 +449,15 @@ router.put('/update-password', [
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sign out every other device and start a fresh session for this one
+    await SessionService.revokeAllForUser(user._id, 'password_changed');
+    const { token, refreshToken } = await SessionService.createSession(user, req);
 
     res.status(200).json({
       status: 'success',
       message: 'Password updated successfully',
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Update password error:', error);
@@ -286,4 +468,525 @@ router.put('/update-password', [
   }
 });
 
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().trim().isLength({ min: 1 }).withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await SessionService.rotateRefreshToken(req.body.refreshToken);
+
+    if (!result) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+
+    if (!user || !user.isActive) {
+      await SessionService.revokeSession(result.session._id);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is not available'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await SessionService.revokeSession(req.sessionId, 'logout');
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          isCurrent: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revokedCount = await SessionService.revokeAllForUser(req.user.id, 'revoked', req.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Other sessions revoked successfully',
+      data: {
+        revokedCount
+      }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await SessionService.revokeSession(session._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Send phone verification code
+// @route   POST /api/auth/phone/send-code
+// @access  Private
+router.post('/phone/send-code', protect, async (req, res) => {
+  try {
+    if (!PhoneVerificationService.isAvailable()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Phone verification is temporarily unavailable'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+
+    if (user.phoneVerified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const phone = normalizePhone(user.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please update your profile with a valid phone number first'
+      });
+    }
+
+    const result = await PhoneVerificationService.issueCode(user._id.toString(), phone);
+
+    if (!result.sent) {
+      return res.status(429).json({
+        status: 'error',
+        message: 'Please wait before requesting another code',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification code sent to ${maskPhone(phone)}`,
+      data: {
+        expiresIn: result.expiresIn
+      }
+    });
+  } catch (error) {
+    console.error('Send phone code error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Verify phone with code
+// @route   POST /api/auth/phone/verify
+// @access  Private
+router.post('/phone/verify', protect, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!PhoneVerificationService.isAvailable()) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Phone verification is temporarily unavailable'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const phone = normalizePhone(user.phone);
+
+    const result = await PhoneVerificationService.verifyCode(user._id.toString(), phone, req.body.code);
+
+    const failureMessages = {
+      invalid: 'Invalid verification code',
+      expired: 'Verification code has expired, please request a new one',
+      too_many_attempts: 'Too many attempts, please request a new code'
+    };
+
+    if (result !== 'verified') {
+      return res.status(400).json({
+        status: 'error',
+        message: failureMessages[result]
+      });
+    }
+
+    user.phone = phone;
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Phone number verified successfully',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Complete login with a 2FA code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+router.post('/2fa/login', [
+  body('challengeToken').isString().isLength({ min: 1 }).withMessage('Challenge token is required'),
+  body('code').isString().trim().isLength({ min: 6, max: 11 }).withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = TwoFactorService.verifyChallengeToken(req.body.challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = await LoginThrottleService.checkAttempt(user.email, req.ip);
+
+    if (!throttle.allowed) {
+      return res.status(429).json({
+        status: 'error',
+        code: throttle.code,
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const isValid = await TwoFactorService.verify(user._id, req.body.code);
+
+    if (!isValid) {
+      await LoginThrottleService.recordFailure(user.email, req.ip, user);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await LoginThrottleService.recordSuccess(user.email);
+
+    const deletionCancelled = Boolean(user.deletionScheduledFor);
+    if (deletionCancelled) {
+      await user.cancelScheduledDeletion();
+    }
+
+    await user.updateLastSeen();
+
+    const { token, refreshToken } = await SessionService.createSession(user, req);
+
+    res.status(200).json({
+      status: 'success',
+      message: deletionCancelled ? 'Login successful, account deletion cancelled' : 'Login successful',
+      token,
+      refreshToken,
+      deletionCancelled,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = await TwoFactorService.startEnrollment(req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the code with your authenticator app, then confirm with a generated code',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm 2FA enrollment
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+router.post('/2fa/confirm', protect, [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.twoFactor && req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user.id, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid code, or no enrollment in progress'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, requireTwoFactorCode, async (req, res) => {
+  try {
+    if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, requireTwoFactorCode, [
+  body('password').exists().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    const isPasswordValid = await user.comparePassword(req.body.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Password is incorrect'
+      });
+    }
+
+    await TwoFactorService.disable(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
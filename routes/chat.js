@@ -1,25 +1,51 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const Request = require('../models/Request');
+const { MAX_LIMIT, parseLimit, paginateQuery } = require('../utils/pagination');
 
 const router = express.Router();
 
+// Chats with the latest messages come first
+const RECENT_ACTIVITY_FIRST = [
+  { field: 'lastMessage.timestamp', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
+
 // @desc    Get user's chats
 // @route   GET /api/chat
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
   try {
-    const { limit = 20, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const chats = await Chat.find({
-      participants: req.user.id
-    })
-      .populate('participants', 'name profileImage lastSeen')
-      .populate('request', 'title type status')
-      .sort({ 'lastMessage.timestamp': -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
+    const { limit, cursor } = req.query;
+
+    const page = await paginateQuery(
+      Chat.find({ participants: req.user.id })
+        .populate('participants', 'name profileImage lastSeen')
+        .populate('request', 'title type status'),
+      RECENT_ACTIVITY_FIRST,
+      { limit: parseLimit(limit), cursor }
+    );
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
+
+    const chats = page.items;
 
     // Add unread count and other user info for each chat
     const chatsWithInfo = chats.map(chat => {
@@ -47,6 +73,7 @@ router.get('/', async (req, res) => {
     res.status(200).json({
       status: 'success',
       results: chatsWithInfo.length,
+      pagination: page.pagination,
       data: {
         chats: chatsWithInfo
       }
@@ -124,7 +151,7 @@ router.get('/:id', async (req, res) => {
             fileUrl: message.content.fileUrl,
             location: message.content.location,
             timestamp: message.timestamp,
-            isFromUser: message.sender._id.toString() === req.user.id,
+            isFromUser: Boolean(message.sender) && message.sender._id.toString() === req.user.id,
             sender: message.sender
           })),
           isActive: chat.isActive
@@ -182,6 +209,13 @@ router.post('/:id/messages', [
       });
     }
 
+    if (!chat.isActive) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This chat has been closed'
+      });
+    }
+
     // Prepare message content
     const messageContent = {
       type,
@@ -291,13 +325,8 @@ router.get('/request/:requestId/user/:userId', async (req, res) => {
       });
     }
 
-    // Check if user is involved in this request (requester or acceptor)
-    const isRequester = request.requester.toString() === req.user.id;
-    const hasAccepted = request.acceptedBy.some(
-      acceptance => acceptance.user.toString() === req.user.id
-    );
-
-    if (!isRequester && !hasAccepted) {
+    // Both sides must be involved in this request (requester or confirmed helper)
+    if (!request.isParticipant(req.user.id) || !request.isParticipant(userId)) {
       return res.status(403).json({
         status: 'error',
         message: 'You are not authorized to access this chat'
@@ -0,0 +1,357 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Request = require('../models/Request');
+const User = require('../models/User');
+const NotificationService = require('../utils/notificationService');
+
+// Mounted under /api/requests/:id/questions
+const router = express.Router({ mergeParams: true });
+
+// Questions can only be asked while the request is still open
+const OPEN_STATUSES = ['active', 'accepted'];
+
+const validateMessage = [
+  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters')
+];
+
+// Send the validation error response, if any
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    status: 'error',
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+}
+
+// Load a request the current user may see, or send the error response
+async function findVisibleRequest(req, res) {
+  const request = await Request.findById(req.params.id);
+
+  if (!request || (!request.isParticipant(req.user.id) &&
+    (request.status === 'scheduled' || !request.matchesAudience(req.user)))) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Request not found'
+    });
+    return null;
+  }
+
+  return request;
+}
+
+// Reload one question with its authors populated
+async function loadQuestion(requestId, questionId) {
+  const request = await Request.findById(requestId)
+    .select('responses')
+    .populate('responses.user', 'name profileImage')
+    .populate('responses.replies.user', 'name profileImage');
+
+  return request && request.responses.id(questionId);
+}
+
+// @desc    Ask a question about a request
+// @route   POST /api/requests/:id/questions
+// @access  Private
+router.post('/', validateMessage, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const request = await findVisibleRequest(req, res);
+    if (!request) return;
+
+    if (request.requester.toString() === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot ask questions on your own request'
+      });
+    }
+
+    const questionId = new mongoose.Types.ObjectId();
+    const updated = await Request.findOneAndUpdate(
+      { _id: request._id, status: { $in: OPEN_STATUSES } },
+      {
+        $push: {
+          responses: {
+            _id: questionId,
+            user: req.user.id,
+            message: req.body.message,
+            responseType: 'question'
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Questions can only be asked on open requests'
+      });
+    }
+
+    const question = await loadQuestion(request._id, questionId);
+
+    NotificationService.notifyNewQuestion(request, req.user, question);
+    req.app.get('io').to(request.requester.toString()).emit('requestQuestion', {
+      requestId: request._id,
+      question
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Question posted successfully',
+      data: {
+        question
+      }
+    });
+  } catch (error) {
+    console.error('Ask question error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Edit own question
+// @route   PUT /api/requests/:id/questions/:questionId
+// @access  Private
+router.put('/:questionId', validateMessage, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const request = await findVisibleRequest(req, res);
+    if (!request) return;
+
+    const result = await Request.updateOne(
+      {
+        _id: request._id,
+        responses: { $elemMatch: { _id: req.params.questionId, user: req.user.id, responseType: 'question' } }
+      },
+      { $set: { 'responses.$.message': req.body.message, 'responses.$.editedAt': new Date() } }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question updated successfully',
+      data: {
+        question: await loadQuestion(request._id, req.params.questionId)
+      }
+    });
+  } catch (error) {
+    console.error('Edit question error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete own question and its replies
+// @route   DELETE /api/requests/:id/questions/:questionId
+// @access  Private
+router.delete('/:questionId', async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req, res);
+    if (!request) return;
+
+    const result = await Request.updateOne(
+      {
+        _id: request._id,
+        responses: { $elemMatch: { _id: req.params.questionId, user: req.user.id, responseType: 'question' } }
+      },
+      { $pull: { responses: { _id: req.params.questionId } } }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Question deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reply to a question
+// @route   POST /api/requests/:id/questions/:questionId/replies
+// @access  Private (requester or the asker)
+router.post('/:questionId/replies', validateMessage, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const request = await findVisibleRequest(req, res);
+    if (!request) return;
+
+    const question = request.responses.id(req.params.questionId);
+
+    if (!question || question.responseType !== 'question') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    const isRequester = request.requester.toString() === req.user.id;
+    const isAsker = question.user && question.user.toString() === req.user.id;
+
+    if (!isRequester && !isAsker) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the requester or the person who asked can reply'
+      });
+    }
+
+    const result = await Request.updateOne(
+      { _id: request._id, 'responses._id': question._id },
+      { $push: { 'responses.$.replies': { user: req.user.id, message: req.body.message } } }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Question not found'
+      });
+    }
+
+    // The requester's answers go to the asker; the asker's follow-ups to the requester
+    const recipientId = isRequester ? question.user : request.requester;
+    const updatedQuestion = await loadQuestion(request._id, question._id);
+
+    if (recipientId && recipientId.toString() !== req.user.id) {
+      const replier = await User.findById(req.user.id).select('name');
+
+      NotificationService.notifyQuestionReply(request, replier, recipientId, question);
+      req.app.get('io').to(recipientId.toString()).emit('requestQuestionReply', {
+        requestId: request._id,
+        question: updatedQuestion
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Reply posted successfully',
+      data: {
+        question: updatedQuestion
+      }
+    });
+  } catch (error) {
+    console.error('Reply to question error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Edit own reply
+// @route   PUT /api/requests/:id/questions/:questionId/replies/:replyId
+// @access  Private
+router.put('/:questionId/replies/:replyId', validateMessage, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const request = await findVisibleRequest(req, res);
+    if (!request) return;
+
+    const { questionId, replyId } = req.params;
+
+    const result = await Request.updateOne(
+      {
+        _id: request._id,
+        responses: { $elemMatch: { _id: questionId, replies: { $elemMatch: { _id: replyId, user: req.user.id } } } }
+      },
+      {
+        $set: {
+          'responses.$[question].replies.$[reply].message': req.body.message,
+          'responses.$[question].replies.$[reply].editedAt': new Date()
+        }
+      },
+      { arrayFilters: [{ 'question._id': questionId }, { 'reply._id': replyId }] }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reply not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reply updated successfully',
+      data: {
+        question: await loadQuestion(request._id, questionId)
+      }
+    });
+  } catch (error) {
+    console.error('Edit reply error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete own reply
+// @route   DELETE /api/requests/:id/questions/:questionId/replies/:replyId
+// @access  Private
+router.delete('/:questionId/replies/:replyId', async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req, res);
+    if (!request) return;
+
+    const { questionId, replyId } = req.params;
+
+    const result = await Request.updateOne(
+      {
+        _id: request._id,
+        responses: { $elemMatch: { _id: questionId, replies: { $elemMatch: { _id: replyId, user: req.user.id } } } }
+      },
+      { $pull: { 'responses.$[question].replies': { _id: replyId } } },
+      { arrayFilters: [{ 'question._id': questionId }] }
+    );
+
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Reply not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Reply deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete reply error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,54 +1,61 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Request = require('../models/Request');
 const User = require('../models/User');
 const Chat = require('../models/Chat');
+const RequestSchedulingService = require('../services/requestSchedulingService');
+const RequestExpiryService = require('../services/requestExpiryService');
+const RequestEditService = require('../services/requestEditService');
 const ProximityService = require('../services/proximityService');
+const BroadcastService = require('../services/broadcastService');
+const ReviewService = require('../services/reviewService');
+const MetricsService = require('../services/metricsService');
+const AcceptanceService = require('../services/acceptanceService');
+const questionRoutes = require('./questions');
+const reviewRoutes = require('./reviews');
 const NotificationService = require('../utils/notificationService');
+const { requireVerifiedEmail } = require('../middleware/auth');
+const { CATEGORIES, CATEGORY_NAMES, isValidTag } = require('../config/taxonomy');
+const { MAX_LIMIT, parseLimit, paginateQuery } = require('../utils/pagination');
 
 const router = express.Router();
 
-// Helper function to broadcast new request to nearby users
-async function broadcastNewRequestToNearbyUsers(request, nearbyUsers, io) {
-  try {
-    if (!nearbyUsers.length) {
-      console.log('No nearby users found for broadcasting');
-      return;
-    }
+// Requests can be posted up to this far ahead of when help is needed
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
 
-    // Populate requester info for the payload
-    await request.populate('requester', 'name age gender profileImage');
+const REQUEST_TYPES = ['emergency', 'help', 'social'];
+const PRIORITIES = ['low', 'medium', 'high', 'emergency'];
+const NEARBY_SORTS = ['distance', 'newest', 'urgency', 'expiring'];
+const REQUEST_STATUSES = ['scheduled', 'active', 'accepted', 'completed', 'expired', 'cancelled'];
+const ACCEPTANCE_STATUSES = ['pending', 'confirmed', 'completed', 'cancelled', 'rejected'];
+const DECLINE_REASONS = ['too_far', 'not_available', 'not_qualified', 'unclear', 'not_interested', 'other'];
 
-    const requestData = {
-      id: request._id,
-      title: request.title,
-      description: request.description,
-      type: request.type,
-      location: request.location,
-      radius: request.radius,
-      maxAcceptors: request.maxAcceptors,
-      createdAt: request.createdAt,
-      requester: {
-        _id: request.requester._id,
-        name: request.requester.name,
-        age: request.requester.age,
-        gender: request.requester.gender,
-        profileImage: request.requester.profileImage,
-      },
-      acceptedCount: request.acceptedCount,
-      timeAgo: request.timeAgo,
-    };
+// Statuses a requester may close a request from, by the status it moves to
+const STATUS_TRANSITIONS = {
+  completed: ['active', 'accepted'],
+  cancelled: ['scheduled', 'active', 'accepted']
+};
 
-    // Broadcast to each nearby user's socket room
-    nearbyUsers.forEach(user => {
-      io.to(user._id.toString()).emit('newNearbyRequest', requestData);
-    });
+// Sort for request lists that page from newest to oldest
+const NEWEST_FIRST = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
 
-    console.log(`Broadcasted new request to ${nearbyUsers.length} nearby users`);
-  } catch (error) {
-    console.error('Error broadcasting new request:', error);
-  }
-}
+// Split a comma-separated query value into its non-empty items
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Emergency requests need a verified email; other types can be posted right away
+const requireVerifiedEmailForEmergency = (req, res, next) => {
+  if (req.body.type !== 'emergency') return next();
+  return requireVerifiedEmail(req, res, next);
+};
+
+// Public Q&A thread on a request
+router.use('/:id/questions', questionRoutes);
+
+// Reviews between participants once a request is completed
+router.use('/:id/reviews', reviewRoutes);
 
 // @desc    Create a new request
 // @route   POST /api/requests
@@ -62,7 +69,25 @@ router.post('/', [
   body('radius').optional().isInt({ min: 1, max: 50 }).withMessage('Radius must be between 1 and 50 km'),
   body('maxAcceptors').optional().isInt({ min: 1, max: 10 }).withMessage('Max acceptors must be between 1 and 10'),
   body('attachments').optional().isArray().withMessage('Attachments must be an array of strings'),
-], async (req, res) => {
+  body('category').optional().isIn(CATEGORY_NAMES).withMessage(`Category must be one of: ${CATEGORY_NAMES.join(', ')}`),
+  body('tags').optional().isArray({ max: 5 }).withMessage('Tags must be an array of at most 5 tags'),
+  body('tags.*').custom(isValidTag).withMessage('Unknown tag'),
+  body('skillMatch').optional().isIn(['prefer', 'require']).withMessage('Skill match must be prefer or require'),
+  body('startsAt').optional().isISO8601().withMessage('Start time must be a valid date').bail()
+    .custom(value => {
+      const startsAt = new Date(value).getTime();
+      return startsAt > Date.now() && startsAt <= Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000;
+    }).withMessage(`Start time must be in the future and within ${MAX_SCHEDULE_AHEAD_DAYS} days`),
+  body('leadMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Lead time must be between 0 and 10080 minutes'),
+  body('recurrence').optional().isObject().withMessage('Recurrence must be an object'),
+  body('recurrence.frequency').if(body('recurrence').exists())
+    .isIn(['daily', 'weekly', 'monthly']).withMessage('Frequency must be daily, weekly, or monthly'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 12 }).withMessage('Interval must be between 1 and 12'),
+  body('recurrence.daysOfWeek').optional().isArray({ min: 1, max: 7 }).withMessage('Days of week must be a non-empty array'),
+  body('recurrence.daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body('recurrence.until').optional().isISO8601().withMessage('Recurrence end must be a valid date'),
+  body('recurrence.count').optional().isInt({ min: 1, max: 100 }).withMessage('Occurrence count must be between 1 and 100'),
+], requireVerifiedEmailForEmergency, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -82,14 +107,34 @@ router.post('/', [
       radius = 5,
       maxAcceptors = 3,
       filters = {},
-      attachments = []
+      attachments = [],
+      category,
+      tags = [],
+      skillMatch
     } = req.body;
 
-    const request = await Request.create({
+    const { recurrence, leadMinutes } = req.body;
+    const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : undefined;
+
+    // Emergencies are always about right now
+    if (type === 'emergency' && (startsAt || recurrence)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Emergency requests cannot be scheduled'
+      });
+    }
+
+    if (recurrence && !startsAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Recurring requests need a start time'
+      });
+    }
+
+    const template = {
       title,
       description,
       type,
-      requester: req.user.id,
       location: {
         type: 'Point',
         coordinates,
@@ -98,36 +143,44 @@ router.post('/', [
       radius,
       maxAcceptors,
       filters,
-      attachments
-    });
+      attachments,
+      category,
+      tags,
+      skillMatch
+    };
+
+    let request;
+    let series;
+
+    if (recurrence) {
+      ({ request, series } = await RequestSchedulingService.createSeries(template, {
+        requester: req.user.id,
+        startsAt,
+        recurrence,
+        leadMinutes
+      }));
+    } else {
+      request = await RequestSchedulingService.createRequest({
+        ...template,
+        requester: req.user.id,
+        startsAt
+      }, leadMinutes);
+    }
 
     // Populate requester info
     await request.populate('requester', 'name age gender profileImage');
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.requestsSent': 1 }
-    });
-
-    // --- ADVANCED PROXIMITY SEARCH ---
-    // 1. Find nearby users using the advanced Redis-based proximity service
-    const nearbyUsers = await ProximityService.findNearbyUsers(
-      coordinates[1], // latitude
-      coordinates[0], // longitude
-      radius
-    );
-
-    // 2. Broadcast to sockets using the list of nearby users
-    broadcastNewRequestToNearbyUsers(request, nearbyUsers, req.app.get('io'));
-
-    // 3. Send push notifications using the SAME list of nearby users
-    NotificationService.notifyNearbyUsersOfNewRequest(request, req.user, nearbyUsers);
+    // Scheduled requests are broadcast later by the scheduler
+    if (request.status === 'active') {
+      RequestSchedulingService.publish(request, req.app.get('io'), req.user);
+    }
 
     res.status(201).json({
       status: 'success',
-      message: 'Request created successfully',
+      message: request.status === 'scheduled' ? 'Request scheduled successfully' : 'Request created successfully',
       data: {
-        request
+        request,
+        series
       }
     });
   } catch (error) {
@@ -139,12 +192,46 @@ router.post('/', [
   }
 });
 
+// @desc    Get request categories and their tags
+// @route   GET /api/requests/taxonomy
+// @access  Private
+router.get('/taxonomy', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      categories: CATEGORIES
+    }
+  });
+});
+
 // @desc    Get nearby requests
 // @route   GET /api/requests/nearby
 // @access  Private
-router.get('/nearby', async (req, res) => {
+router.get('/nearby', [
+  query('q').optional().trim().isLength({ max: 100 }).withMessage('Search text cannot be more than 100 characters'),
+  query('radius').optional().isInt({ min: 1, max: 50 }).withMessage('Radius must be between 1 and 50 km'),
+  query('type').optional().custom(value => splitList(value).every(type => REQUEST_TYPES.includes(type)))
+    .withMessage(`Type must be among: ${REQUEST_TYPES.join(', ')}`),
+  query('priority').optional().custom(value => splitList(value).every(priority => PRIORITIES.includes(priority)))
+    .withMessage(`Priority must be among: ${PRIORITIES.join(', ')}`),
+  query('category').optional().isIn(CATEGORY_NAMES).withMessage(`Category must be one of: ${CATEGORY_NAMES.join(', ')}`),
+  query('minSpots').optional().isInt({ min: 1, max: 10 }).withMessage('Minimum spots must be between 1 and 10'),
+  query('minAge').optional().isInt({ min: 13, max: 120 }).withMessage('Minimum age must be between 13 and 120'),
+  query('maxAge').optional().isInt({ min: 13, max: 120 }).withMessage('Maximum age must be between 13 and 120'),
+  query('sort').optional().isIn(NEARBY_SORTS).withMessage(`Sort must be one of: ${NEARBY_SORTS.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
   try {
-    const { radius = 5, type, limit = 20, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, radius = 5, type, priority, category, tags, minSpots, minAge, maxAge, sort = 'urgency', limit, cursor } = req.query;
     
     const user = await User.findById(req.user.id);
     
@@ -155,24 +242,33 @@ router.get('/nearby', async (req, res) => {
       });
     }
 
-    const filters = {
-      requester: req.user.id // Exclude own requests
-    };
-    
-    if (type) filters.type = type;
+    const result = await Request.searchNearby(user.location.coordinates, parseInt(radius), {
+      viewer: user, // Skip own requests and those whose audience filters exclude this user
+      search: q,
+      types: splitList(type),
+      priorities: splitList(priority),
+      category,
+      tags: splitList(tags), // Matches requests carrying any of the tags
+      minSpots: parseInt(minSpots) || undefined,
+      requesterAge: { min: parseInt(minAge) || undefined, max: parseInt(maxAge) || undefined },
+      sort,
+      limit: parseLimit(limit),
+      cursor
+    });
 
-    const requests = await Request.findNearby(
-      user.location.coordinates,
-      parseInt(radius),
-      filters
-    ).limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
+    if (!result) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      results: requests.length,
+      results: result.requests.length,
+      pagination: result.pagination,
       data: {
-        requests
+        requests: result.requests
       }
     });
   } catch (error) {
@@ -187,25 +283,47 @@ router.get('/nearby', async (req, res) => {
 // @desc    Get user's own requests
 // @route   GET /api/requests/my-requests
 // @access  Private
-router.get('/my-requests', async (req, res) => {
+router.get('/my-requests', [
+  query('status').optional().custom(value => splitList(value).every(status => REQUEST_STATUSES.includes(status)))
+    .withMessage(`Status must be among: ${REQUEST_STATUSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
   try {
-    const { status, limit = 20, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, limit, cursor } = req.query;
     
-    const query = { requester: req.user.id };
-    if (status) query.status = status;
+    const filter = { requester: req.user.id };
+    if (status) filter.status = { $in: splitList(status) };
+
+    const page = await paginateQuery(
+      Request.find(filter)
+        .populate('requester', 'name age gender profileImage')
+        .populate('acceptedBy.user', 'name profileImage'),
+      NEWEST_FIRST,
+      { limit: parseLimit(limit), cursor }
+    );
 
-    const requests = await Request.find(query)
-      .populate('requester', 'name age gender profileImage')
-      .populate('acceptedBy.user', 'name profileImage')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      results: requests.length,
+      results: page.items.length,
+      pagination: page.pagination,
       data: {
-        requests
+        requests: page.items
       }
     });
   } catch (error) {
@@ -220,24 +338,52 @@ router.get('/my-requests', async (req, res) => {
 // @desc    Get requests user has accepted
 // @route   GET /api/requests/accepted
 // @access  Private
-router.get('/accepted', async (req, res) => {
+router.get('/accepted', [
+  query('status').optional().custom(value => splitList(value).every(status => REQUEST_STATUSES.includes(status)))
+    .withMessage(`Status must be among: ${REQUEST_STATUSES.join(', ')}`),
+  query('acceptanceStatus').optional()
+    .custom(value => splitList(value).every(status => ACCEPTANCE_STATUSES.includes(status)))
+    .withMessage(`Acceptance status must be among: ${ACCEPTANCE_STATUSES.join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
   try {
-    const { limit = 20, page = 1 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
-    const requests = await Request.find({
-      'acceptedBy.user': req.user.id
-    })
-      .populate('requester', 'name age gender profileImage')
-      .populate('acceptedBy.user', 'name profileImage')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
+    const { status, acceptanceStatus, limit, cursor } = req.query;
+
+    const filter = acceptanceStatus
+      ? { acceptedBy: { $elemMatch: { user: req.user.id, status: { $in: splitList(acceptanceStatus) } } } }
+      : { 'acceptedBy.user': req.user.id };
+    if (status) filter.status = { $in: splitList(status) };
+
+    const page = await paginateQuery(
+      Request.find(filter)
+        .populate('requester', 'name age gender profileImage')
+        .populate('acceptedBy.user', 'name profileImage'),
+      NEWEST_FIRST,
+      { limit: parseLimit(limit), cursor }
+    );
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      results: requests.length,
+      results: page.items.length,
+      pagination: page.pagination,
       data: {
-        requests
+        requests: page.items
       }
     });
   } catch (error) {
@@ -257,9 +403,13 @@ router.get('/:id', async (req, res) => {
     const request = await Request.findById(req.params.id)
       .populate('requester', 'name age gender profileImage location')
       .populate('acceptedBy.user', 'name profileImage')
-      .populate('responses.user', 'name profileImage');
+      .populate('responses.user', 'name profileImage')
+      .populate('responses.replies.user', 'name profileImage');
 
-    if (!request) {
+    // Users outside the audience filters cannot open the request either, and
+    // scheduled requests stay private until they are broadcast
+    if (!request || (!request.isParticipant(req.user.id) &&
+      (request.status === 'scheduled' || !request.matchesAudience(req.user)))) {
       return res.status(404).json({
         status: 'error',
         message: 'Request not found'
@@ -267,9 +417,9 @@ router.get('/:id', async (req, res) => {
     }
 
     // Increment view count if not the requester
-    if (request.requester._id.toString() !== req.user.id) {
+    if (!request.requester || request.requester._id.toString() !== req.user.id) {
+      await Request.updateOne({ _id: request._id }, { $inc: { viewCount: 1 } });
       request.viewCount += 1;
-      await request.save();
     }
 
     res.status(200).json({
@@ -287,10 +437,145 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Edit a request
+// @route   PUT /api/requests/:id
+// @access  Private
+router.put('/:id', [
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('address').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Address must be less than 255 characters'),
+  body('coordinates').optional().isArray({ min: 2, max: 2 }).withMessage('Coordinates must be an array of [longitude, latitude]'),
+  body('coordinates.*').isFloat().withMessage('Coordinates must be numbers'),
+  body('radius').optional().isInt({ min: 1, max: 50 }).withMessage('Radius must be between 1 and 50 km'),
+  body('maxAcceptors').optional().isInt({ min: 1, max: 10 }).withMessage('Max acceptors must be between 1 and 10'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (request.requester.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the requester can edit this request'
+      });
+    }
+
+    if (!['scheduled', 'active', 'accepted'].includes(request.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only open requests can be edited'
+      });
+    }
+
+    const { title, description, address, coordinates, radius, maxAcceptors, expiresAt } = req.body;
+    const previousMaxAcceptors = request.maxAcceptors;
+
+    const { changes, error } = RequestEditService.applyEdit(request, {
+      title,
+      description,
+      address,
+      coordinates: coordinates && coordinates.map(Number),
+      radius: radius !== undefined ? parseInt(radius) : undefined,
+      maxAcceptors: maxAcceptors !== undefined ? parseInt(maxAcceptors) : undefined,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    }, req.user.id);
+
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    if (!changes.length) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Nothing to update',
+        data: {
+          request
+        }
+      });
+    }
+
+    await request.save();
+
+    const io = req.app.get('io');
+    const changedFields = changes.map(change => change.field);
+
+    // Let everyone with a standing offer know what changed
+    const acceptorRooms = request.acceptedBy
+      .filter(acceptance => ['pending', 'confirmed'].includes(acceptance.status))
+      .map(acceptance => acceptance.user.toString());
+
+    if (acceptorRooms.length) {
+      NotificationService.notifyRequestEdited(request, changes);
+      io.to(acceptorRooms).emit('requestUpdated', {
+        requestId: request._id,
+        changes
+      });
+    }
+
+    // Reach users who are only in range after the move or wider radius
+    if (request.status === 'active' && (changedFields.includes('coordinates') || changedFields.includes('radius'))) {
+      const notified = await BroadcastService.getNotifiedUserIds(request._id);
+      const audience = await ProximityService.findAudience(request);
+      const newUsers = audience.filter(user => !notified.has(user._id.toString()));
+
+      BroadcastService.deliver(request, newUsers, io);
+    }
+
+    // More helper slots can go to people on the waitlist
+    for (let slot = previousMaxAcceptors; slot < request.maxAcceptors; slot++) {
+      if (!await AcceptanceService.promoteNextWaitlisted(request._id, io)) break;
+    }
+
+    const updatedRequest = await Request.findById(request._id)
+      .populate('requester', 'name age gender profileImage')
+      .populate('acceptedBy.user', 'name profileImage');
+
+    io.emit('requestStatusUpdate', {
+      requestId: updatedRequest._id,
+      status: updatedRequest.status,
+      acceptedCount: updatedRequest.acceptedCount
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request updated successfully',
+      data: {
+        request: updatedRequest,
+        changes
+      }
+    });
+  } catch (error) {
+    console.error('Edit request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Accept a request
 // @route   POST /api/requests/:id/accept
 // @access  Private
-router.post('/:id/accept', [
+router.post('/:id/accept', requireVerifiedEmail, [
   body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot be more than 500 characters')
 ], async (req, res) => {
   try {
@@ -306,7 +591,9 @@ router.post('/:id/accept', [
     const { message } = req.body;
     const request = await Request.findById(req.params.id);
 
-    if (!request) {
+    // Users the audience filters leave out cannot offer help, same as for GET /:id
+    if (!request || (!request.isParticipant(req.user.id) &&
+      (request.status === 'scheduled' || !request.matchesAudience(req.user)))) {
       return res.status(404).json({
         status: 'error',
         message: 'Request not found'
@@ -321,81 +608,69 @@ router.post('/:id/accept', [
       });
     }
 
-    // Check if request is still active
-    if (request.status !== 'active') {
+    // Check if user has already accepted
+    const existingAcceptance = request.getAcceptance(req.user.id);
+
+    if (existingAcceptance) {
       return res.status(400).json({
         status: 'error',
-        message: 'Request is no longer active'
+        message: existingAcceptance.status === 'rejected'
+          ? 'The requester has already chosen other helpers'
+          : 'You have already accepted this request'
       });
     }
 
-    // Check if user has already accepted
-    const hasAccepted = request.acceptedBy.some(
-      acceptance => acceptance.user.toString() === req.user.id
-    );
-
-    if (hasAccepted) {
+    // Full requests take a waitlist instead
+    if (request.status === 'accepted') {
       return res.status(400).json({
         status: 'error',
-        message: 'You have already accepted this request'
+        code: 'REQUEST_FULL',
+        message: 'Request has reached maximum acceptors. You can join the waitlist instead.'
       });
     }
 
-    // Check if max acceptors reached
-    if (request.acceptedBy.length >= request.maxAcceptors) {
+    // Check if request is still active
+    if (request.status !== 'active') {
       return res.status(400).json({
         status: 'error',
-        message: 'Request has reached maximum acceptors'
+        message: 'Request is no longer active'
       });
     }
 
-    // Add user to acceptedBy array
-    request.acceptedBy.push({
-      user: req.user.id,
-      acceptedAt: new Date()
-    });
+    // Add the pending offer atomically so simultaneous taps cannot duplicate
+    // it; it only takes a slot once the requester confirms it
+    const updatedRequest = await Request.addAcceptance(request._id, req.user.id, message);
 
-    // Add response if message provided
-    if (message) {
-      request.responses.push({
-        user: req.user.id,
-        message,
-        responseType: 'accept'
+    if (!updatedRequest) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Request changed while accepting, please try again'
       });
     }
 
-    await request.save();
-
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.requestsAccepted': 1 }
-    });
-
-    // Create or get chat between requester and acceptor
-    const chat = await Chat.findOrCreate([request.requester, req.user.id], request._id);
+    // Update user stats, including how quickly they responded
+    await MetricsService.recordOffer(updatedRequest, req.user.id);
 
     // Populate the updated request
-    await request.populate('requester', 'name age gender profileImage');
-    await request.populate('acceptedBy.user', 'name profileImage');
+    await updatedRequest.populate('requester', 'name age gender profileImage');
+    await updatedRequest.populate('acceptedBy.user', 'name profileImage');
 
     // Send push notification to requester
-    const NotificationService = require('../utils/notificationService');
     const acceptor = await User.findById(req.user.id).select('name');
-    NotificationService.notifyRequestAccepted(request, acceptor);
+    NotificationService.notifyRequestAccepted(updatedRequest, acceptor);
 
     // Broadcast status update via socket
     req.app.get('io').emit('requestStatusUpdate', {
-      requestId: request._id,
-      status: request.status,
-      acceptedCount: request.acceptedBy.length
+      requestId: updatedRequest._id,
+      status: updatedRequest.status,
+      acceptedCount: updatedRequest.acceptedCount
     });
 
     res.status(200).json({
       status: 'success',
-      message: 'Request accepted successfully',
+      message: 'Offer sent. The requester will confirm who helps.',
       data: {
-        request,
-        chatId: chat._id
+        request: updatedRequest
       }
     });
   } catch (error) {
@@ -421,17 +696,15 @@ router.delete('/:id/accept', async (req, res) => {
       });
     }
 
-    // Remove user from acceptedBy array
-    request.acceptedBy = request.acceptedBy.filter(
-      acceptance => acceptance.user.toString() !== req.user.id
-    );
-
-    await request.save();
+    // Withdraw the offer, freeing its slot for the waitlist
+    const updatedRequest = await AcceptanceService.withdraw(request, req.user, req.app.get('io'));
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.requestsAccepted': -1 }
-    });
+    if (!updatedRequest) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You have no pending or confirmed offer on this request'
+      });
+    }
 
     res.status(200).json({
       status: 'success',
@@ -446,73 +719,608 @@ router.delete('/:id/accept', async (req, res) => {
   }
 });
 
-// @desc    Update request status
-// @route   PUT /api/requests/:id/status
+// @desc    Join the waitlist of a full request
+// @route   POST /api/requests/:id/waitlist
 // @access  Private
-router.put('/:id/status', [
-  body('status').isIn(['completed', 'cancelled']).withMessage('Status must be completed or cancelled'),
-  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-  body('feedback').optional().trim().isLength({ max: 500 }).withMessage('Feedback cannot be more than 500 characters')
-], async (req, res) => {
+router.post('/:id/waitlist', requireVerifiedEmail, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { status, rating, feedback } = req.body;
     const request = await Request.findById(req.params.id);
 
-    if (!request) {
+    // Users the audience filters leave out cannot join the waitlist either
+    if (!request || (!request.isParticipant(req.user.id) &&
+      (request.status === 'scheduled' || !request.matchesAudience(req.user)))) {
       return res.status(404).json({
         status: 'error',
         message: 'Request not found'
       });
     }
 
-    // Check if user is the requester
-    if (request.requester.toString() !== req.user.id) {
-      return res.status(403).json({
+    if (request.status === 'active') {
+      return res.status(400).json({
         status: 'error',
-        message: 'Only the requester can update request status'
+        message: 'Request still has free spots, accept it directly'
       });
     }
 
-    request.status = status;
-    
-    if (status === 'completed') {
-      request.completedAt = new Date();
-      if (rating) request.rating = rating;
-      if (feedback) request.feedback = feedback;
-    }
-
-    await request.save();
+    const updatedRequest = await Request.joinWaitlist(request._id, req.user.id);
 
-    // Send push notifications to acceptors about status change
-    const NotificationService = require('../utils/notificationService');
-    const changer = await User.findById(req.user.id).select('name');
-    NotificationService.notifyRequestStatusChange(request, status, changer);
+    if (!updatedRequest) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot join the waitlist for this request'
+      });
+    }
 
-    // Broadcast status update via socket
-    req.app.get('io').emit('requestStatusUpdate', {
-      requestId: request._id,
-      status: status,
-      acceptedCount: request.acceptedBy.length
-    });
+    const position = updatedRequest.waitlist.findIndex(
+      entry => entry.user.toString() === req.user.id
+    ) + 1;
 
     res.status(200).json({
       status: 'success',
-      message: 'Request status updated successfully',
+      message: 'Joined the waitlist',
       data: {
-        request
+        position
       }
     });
   } catch (error) {
-    console.error('Update request status error:', error);
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Leave the waitlist of a request
+// @route   DELETE /api/requests/:id/waitlist
+// @access  Private
+router.delete('/:id/waitlist', async (req, res) => {
+  try {
+    const result = await Request.updateOne(
+      { _id: req.params.id, 'waitlist.user': req.user.id },
+      { $pull: { waitlist: { user: req.user.id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You are not on the waitlist for this request'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Left the waitlist'
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Decline a request and hide it from the feed
+// @route   POST /api/requests/:id/decline
+// @access  Private
+router.post('/:id/decline', [
+  body('reason').optional().isIn(DECLINE_REASONS).withMessage(`Reason must be one of: ${DECLINE_REASONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (request.requester.toString() === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot decline your own request'
+      });
+    }
+
+    const acceptance = request.getAcceptance(req.user.id);
+    if (acceptance && ['pending', 'confirmed'].includes(acceptance.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Withdraw your offer to help before declining this request'
+      });
+    }
+
+    const reason = req.body.reason || 'other';
+
+    // Declining again just updates the reason
+    const updated = await Request.updateOne(
+      { _id: request._id, 'declines.user': req.user.id },
+      { $set: { 'declines.$.reason': reason } }
+    );
+
+    if (!updated.matchedCount) {
+      await Request.updateOne(
+        { _id: request._id, 'declines.user': { $ne: req.user.id } },
+        { $push: { declines: { user: req.user.id, reason } } }
+      );
+    }
+
+    // Passing on a request also gives up a place in its queue
+    await Request.updateOne(
+      { _id: request._id },
+      { $pull: { waitlist: { user: req.user.id } } }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request declined and hidden from your feed'
+    });
+  } catch (error) {
+    console.error('Decline request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Undo a decline so the request shows up again
+// @route   DELETE /api/requests/:id/decline
+// @access  Private
+router.delete('/:id/decline', async (req, res) => {
+  try {
+    const result = await Request.updateOne(
+      { _id: req.params.id, 'declines.user': req.user.id },
+      { $pull: { declines: { user: req.user.id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You have not declined this request'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request is visible in your feed again'
+    });
+  } catch (error) {
+    console.error('Undo decline error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get how many people declined a request, by reason
+// @route   GET /api/requests/:id/declines
+// @access  Private (requester)
+router.get('/:id/declines', async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).select('requester +declines');
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (request.requester.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the requester can view decline reasons'
+      });
+    }
+
+    // Totals only, so helpers can pass on a request without being named
+    const reasons = Object.fromEntries(DECLINE_REASONS.map(reason => [reason, 0]));
+    request.declines.forEach(decline => {
+      reasons[decline.reason] = (reasons[decline.reason] || 0) + 1;
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total: request.declines.length,
+        reasons
+      }
+    });
+  } catch (error) {
+    console.error('Get declines error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm or reject an acceptor
+// @route   PUT /api/requests/:id/acceptors/:userId
+// @access  Private
+router.put('/:id/acceptors/:userId', [
+  body('decision').isIn(['confirm', 'reject']).withMessage('Decision must be confirm or reject')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { decision } = req.body;
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    // Check if user is the requester
+    if (request.requester.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the requester can confirm or reject helpers'
+      });
+    }
+
+    const acceptance = request.getAcceptance(req.params.userId);
+
+    if (!acceptance || !['pending', 'confirmed'].includes(acceptance.status)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No open offer from this user'
+      });
+    }
+
+    if (decision === 'confirm' && acceptance.status === 'confirmed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Helper is already confirmed'
+      });
+    }
+
+    if (decision === 'confirm' && !['active', 'accepted'].includes(request.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Request is no longer active'
+      });
+    }
+
+    const io = req.app.get('io');
+    const helperId = acceptance.user.toString();
+    let updatedRequest;
+    let chat = null;
+
+    if (decision === 'confirm') {
+      // The slot check and the confirmation happen in one atomic update
+      updatedRequest = await Request.confirmAcceptance(request._id, acceptance.user);
+
+      if (!updatedRequest) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Request has reached maximum acceptors'
+        });
+      }
+
+      await MetricsService.recordCommitment(request, helperId);
+
+      // Confirmed helpers get a chat with the requester
+      chat = await Chat.findOrCreate([request.requester, acceptance.user], request._id);
+    } else {
+      const result = await Request.rejectAcceptance(request._id, acceptance.user);
+
+      if (!result) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'No open offer from this user'
+        });
+      }
+
+      // Rejected helpers lose access to the chat and the live location room
+      await Chat.updateMany(
+        { request: request._id, participants: acceptance.user },
+        { isActive: false }
+      );
+      io.in(helperId).socketsLeave(`request-${request._id}`);
+
+      updatedRequest = result.request;
+      if (result.freedSlot) {
+        updatedRequest = (await AcceptanceService.promoteNextWaitlisted(request._id, io)) || updatedRequest;
+      }
+    }
+
+    const decisionStatus = decision === 'confirm' ? 'confirmed' : 'rejected';
+
+    NotificationService.notifyAcceptanceDecision(updatedRequest, acceptance.user, decisionStatus);
+
+    io.to(helperId).emit('acceptanceDecision', {
+      requestId: updatedRequest._id,
+      decision: decisionStatus,
+      chatId: chat ? chat._id : null
+    });
+
+    io.emit('requestStatusUpdate', {
+      requestId: updatedRequest._id,
+      status: updatedRequest.status,
+      acceptedCount: updatedRequest.acceptedCount
+    });
+
+    await updatedRequest.populate('acceptedBy.user', 'name profileImage');
+
+    res.status(200).json({
+      status: 'success',
+      message: decisionStatus === 'confirmed' ? 'Helper confirmed' : 'Helper rejected',
+      data: {
+        request: updatedRequest,
+        chatId: chat ? chat._id : null
+      }
+    });
+  } catch (error) {
+    console.error('Acceptor decision error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update request status
+// @route   PUT /api/requests/:id/status
+// @access  Private
+router.put('/:id/status', [
+  body('status').isIn(['completed', 'cancelled']).withMessage('Status must be completed or cancelled'),
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('feedback').optional().trim().isLength({ max: 500 }).withMessage('Feedback cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, rating, feedback } = req.body;
+    let request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    // Check if user is the requester
+    if (request.requester.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the requester can update request status'
+      });
+    }
+
+    // Closing is claimed atomically so a request is only completed once and
+    // its review window cannot be reopened
+    const update = { status };
+    const options = { new: true };
+
+    if (status === 'completed') {
+      update.completedAt = new Date();
+      update['acceptedBy.$[helper].status'] = 'completed';
+      options.arrayFilters = [{ 'helper.status': 'confirmed' }];
+      if (rating) update.rating = rating;
+      if (feedback) update.feedback = feedback;
+    }
+
+    const closed = await Request.findOneAndUpdate(
+      { _id: request._id, status: { $in: STATUS_TRANSITIONS[status] } },
+      update,
+      options
+    );
+
+    if (!closed) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Request cannot be marked ${status} while it is ${request.status}`
+      });
+    }
+
+    request = closed;
+
+    // Only helpers confirmed at this point can have just completed
+    const completedHelpers = request.acceptedBy
+      .filter(acceptance => acceptance.status === 'completed')
+      .map(acceptance => acceptance.user);
+    await MetricsService.recordCompletions(request, completedHelpers);
+
+    // A rating given on completion counts as the requester's review of each helper
+    if (status === 'completed' && rating) {
+      await Promise.all(request.acceptedBy
+        .filter(acceptance => acceptance.status === 'completed')
+        .map(acceptance => ReviewService.createReview(request, req.user, acceptance.user.toString(), {
+          rating: parseInt(rating),
+          comment: feedback
+        })));
+    }
+
+    // Send push notifications to acceptors about status change
+    const NotificationService = require('../utils/notificationService');
+    const changer = await User.findById(req.user.id).select('name');
+    NotificationService.notifyRequestStatusChange(request, status, changer);
+
+    // Broadcast status update via socket
+    req.app.get('io').emit('requestStatusUpdate', {
+      requestId: request._id,
+      status: status,
+      acceptedCount: request.acceptedCount
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request status updated successfully',
+      data: {
+        request
+      }
+    });
+  } catch (error) {
+    console.error('Update request status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Extend a request's expiry time
+// @route   POST /api/requests/:id/extend
+// @access  Private
+router.post('/:id/extend', [
+  body('hours').optional().isInt({ min: 1, max: 24 }).withMessage('Hours must be between 1 and 24')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    if (request.requester.toString() !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the requester can extend this request'
+      });
+    }
+
+    if (!['active', 'accepted'].includes(request.status) || request.expiresAt <= new Date()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only open requests can be extended'
+      });
+    }
+
+    if (request.extensionCount >= RequestExpiryService.getMaxExtensions()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This request cannot be extended any further'
+      });
+    }
+
+    // Default to the same lifetime a new request of this type gets
+    const hours = parseInt(req.body.hours) || (request.type === 'emergency' ? 4 : 24);
+    const updatedRequest = await RequestExpiryService.extend(request, hours);
+
+    if (!updatedRequest) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Request changed while extending, please try again'
+      });
+    }
+
+    req.app.get('io').to(`request-${request._id}`).emit('requestExtended', {
+      requestId: updatedRequest._id,
+      expiresAt: updatedRequest.expiresAt
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Request extended successfully',
+      data: {
+        request: updatedRequest
+      }
+    });
+  } catch (error) {
+    console.error('Extend request error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Report a request to moderators
+// @route   POST /api/requests/:id/report
+// @access  Private
+router.post('/:id/report', [
+  body('reason').isIn(['spam', 'inappropriate', 'scam', 'unsafe', 'other']).withMessage('Reason must be spam, inappropriate, scam, unsafe, or other'),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason, details } = req.body;
+    const request = await Request.findById(req.params.id).select('+reports');
+
+    if (!request) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    const hasReported = request.reports.some(
+      report => report.user.toString() === req.user.id
+    );
+
+    if (hasReported) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You have already reported this request'
+      });
+    }
+
+    request.reports.push({
+      user: req.user.id,
+      reason,
+      details
+    });
+
+    await request.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Request reported successfully'
+    });
+  } catch (error) {
+    console.error('Report request error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
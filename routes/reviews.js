@@ -0,0 +1,102 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Request = require('../models/Request');
+const Review = require('../models/Review');
+const ReviewService = require('../services/reviewService');
+
+// Mounted under /api/requests/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// @desc    Review another participant of a completed request
+// @route   POST /api/requests/:id/reviews
+// @access  Private
+router.post('/', [
+  body('revieweeId').isMongoId().withMessage('Reviewee ID must be valid'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await Request.findById(req.params.id);
+
+    if (!request || !request.isParticipant(req.user.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    const { revieweeId, rating, comment } = req.body;
+    const { review, error } = await ReviewService.createReview(request, req.user, revieweeId, {
+      rating: parseInt(rating),
+      comment
+    });
+
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Review submitted successfully',
+      data: {
+        review
+      }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get the reviews left on a request
+// @route   GET /api/requests/:id/reviews
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+
+    if (!request || !request.isParticipant(req.user.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Request not found'
+      });
+    }
+
+    const reviews = await Review.find({ request: request._id })
+      .populate('reviewer', 'name profileImage')
+      .populate('reviewee', 'name profileImage')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      results: reviews.length,
+      data: {
+        reviews,
+        reviewWindowClosesAt: ReviewService.getWindowClosesAt(request)
+      }
+    });
+  } catch (error) {
+    console.error('Get request reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Request = require('../models/Request');
+const RequestSeries = require('../models/RequestSeries');
+const RequestSchedulingService = require('../services/requestSchedulingService');
+const { CATEGORY_NAMES, isValidTag } = require('../config/taxonomy');
+const { MAX_LIMIT, parseLimit, paginateQuery } = require('../utils/pagination');
+
+const router = express.Router();
+
+const NEWEST_FIRST = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
+
+// Load a series owned by the current user, or send the error response
+async function findOwnSeries(req, res) {
+  const series = await RequestSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Series not found'
+    });
+    return null;
+  }
+
+  if (series.requester.toString() !== req.user.id) {
+    res.status(403).json({
+      status: 'error',
+      message: 'Only the requester can manage this series'
+    });
+    return null;
+  }
+
+  return series;
+}
+
+// @desc    Get user's recurring request series
+// @route   GET /api/requests/series
+// @access  Private
+router.get('/', [
+  query('status').optional().isIn(['active', 'ended', 'cancelled']).withMessage('Status must be active, ended, or cancelled'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, limit, cursor } = req.query;
+
+    const filter = { requester: req.user.id };
+    if (status) filter.status = status;
+
+    const page = await paginateQuery(RequestSeries.find(filter), NEWEST_FIRST, {
+      limit: parseLimit(limit),
+      cursor
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: page.items.length,
+      pagination: page.pagination,
+      data: {
+        series: page.items
+      }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a series with its occurrences
+// @route   GET /api/requests/series/:id
+// @access  Private
+router.get('/:id', async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    const requests = await Request.find({ series: series._id })
+      .populate('acceptedBy.user', 'name profileImage')
+      .sort({ startsAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        series,
+        requests
+      }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Edit a series and its upcoming occurrences
+// @route   PUT /api/requests/series/:id
+// @access  Private
+router.put('/:id', [
+  body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters'),
+  body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
+  body('radius').optional().isInt({ min: 1, max: 50 }).withMessage('Radius must be between 1 and 50 km'),
+  body('maxAcceptors').optional().isInt({ min: 1, max: 10 }).withMessage('Max acceptors must be between 1 and 10'),
+  body('attachments').optional().isArray().withMessage('Attachments must be an array of strings'),
+  body('category').optional().isIn(CATEGORY_NAMES).withMessage(`Category must be one of: ${CATEGORY_NAMES.join(', ')}`),
+  body('tags').optional().isArray({ max: 5 }).withMessage('Tags must be an array of at most 5 tags'),
+  body('tags.*').custom(isValidTag).withMessage('Unknown tag'),
+  body('skillMatch').optional().isIn(['prefer', 'require']).withMessage('Skill match must be prefer or require'),
+  body('leadMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('Lead time must be between 0 and 10080 minutes'),
+  body('until').optional({ values: 'null' }).isISO8601().withMessage('Recurrence end must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only active series can be edited'
+      });
+    }
+
+    const updates = { ...req.body };
+    if (updates.until) updates.until = new Date(updates.until);
+
+    const updatedCount = await RequestSchedulingService.updateSeries(series, updates);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Series updated successfully',
+      data: {
+        series,
+        updatedOccurrences: updatedCount
+      }
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Cancel a series and its upcoming occurrences
+// @route   DELETE /api/requests/series/:id
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Series is already cancelled'
+      });
+    }
+
+    const cancelledCount = await RequestSchedulingService.cancelSeries(series, req.app.get('io'));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Series cancelled successfully',
+      data: {
+        cancelledOccurrences: cancelledCount
+      }
+    });
+  } catch (error) {
+    console.error('Cancel series error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
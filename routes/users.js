@@ -1,11 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const Request = require('../models/Request');
+const Review = require('../models/Review');
+const DataExport = require('../models/DataExport');
 const ProximityService = require('../services/proximityService');
+const ExportService = require('../services/exportService');
+const AccountDeletionService = require('../services/accountDeletionService');
+const MetricsService = require('../services/metricsService');
+const { normalizePhone } = require('../utils/phone');
+const { CATEGORY_NAMES, isValidTag } = require('../config/taxonomy');
+const { MAX_LIMIT, parseLimit, paginateQuery } = require('../utils/pagination');
+const { requireTwoFactorCode } = require('../middleware/auth');
 
 const router = express.Router();
 
+const NEWEST_FIRST = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
+
+// Profile fields anyone signed in may see
+const PUBLIC_PROFILE_FIELDS = 'name bio profileImage phoneVerified skills offers stats.helpfulRating ' +
+  'stats.totalRatings stats.requesterRating stats.totalRequesterRatings createdAt';
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -33,10 +50,16 @@ router.get('/profile', async (req, res) => {
 // @access  Private
 router.put('/profile', [
   body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
-  body('phone').optional().isMobilePhone().withMessage('Please provide a valid phone number'),
+  body('phone').optional()
+    .custom(value => normalizePhone(value) !== null).withMessage('Please provide a valid phone number')
+    .customSanitizer(normalizePhone),
   body('age').optional().isInt({ min: 13, max: 120 }).withMessage('Age must be between 13 and 120'),
   body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Gender must be male, female, or other'),
-  body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot be more than 500 characters')
+  body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot be more than 500 characters'),
+  body('skills').optional().isArray({ max: 20 }).withMessage('Skills must be an array of at most 20 tags'),
+  body('skills.*').custom(isValidTag).withMessage('Unknown skill'),
+  body('offers').optional().isArray().withMessage('Offers must be an array of categories'),
+  body('offers.*').isIn(CATEGORY_NAMES).withMessage(`Offers must be among: ${CATEGORY_NAMES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -48,7 +71,7 @@ router.put('/profile', [
       });
     }
 
-    const allowedUpdates = ['name', 'phone', 'age', 'gender', 'bio'];
+    const allowedUpdates = ['name', 'phone', 'age', 'gender', 'bio', 'skills', 'offers'];
     const updates = {};
     
     Object.keys(req.body).forEach(key => {
@@ -57,6 +80,12 @@ router.put('/profile', [
       }
     });
 
+    // A new phone number has to be verified again
+    if (updates.phone && updates.phone !== req.user.phone) {
+      updates.phoneVerified = false;
+      updates.phoneVerifiedAt = null;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -188,19 +217,12 @@ router.put('/settings', async (req, res) => {
 // @access  Private
 router.get('/stats', async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    // Get additional stats from requests
-    const sentRequests = await Request.countDocuments({ requester: req.user.id });
-    const acceptedRequests = await Request.countDocuments({ 
-      'acceptedBy.user': req.user.id 
-    });
+    const user = await User.findById(req.user.id).select('stats');
+
+    // Counters are kept up to date as things happen and reconciled nightly
+    const stats = user.stats.toObject();
 
-    const stats = {
-      ...user.stats.toObject(),
-      requestsSent: sentRequests,
-      requestsAccepted: acceptedRequests
-    };
+    Object.assign(stats, MetricsService.getRates(stats));
 
     res.status(200).json({
       status: 'success',
@@ -217,12 +239,134 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// @desc    Export personal data
+// @route   GET /api/users/export
+// @access  Private
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'gzip' ? 'gzip' : 'json';
+
+    await ExportService.purgeExpired();
+
+    const recordCount = await ExportService.countRecords(req.user.id);
+
+    // Small exports are built and downloaded right away
+    if (req.query.async !== 'true' && !ExportService.shouldRunAsync(recordCount)) {
+      const data = await ExportService.buildExport(req.user.id);
+      const buffer = ExportService.serialize(data, format);
+
+      res.attachment(format === 'gzip' ? 'helpmate-export.json.gz' : 'helpmate-export.json');
+      return res.status(200).send(buffer);
+    }
+
+    // Reuse an export that is already being built, unless it has stalled
+    let dataExport = await ExportService.findInProgress(req.user.id);
+
+    if (!dataExport) {
+      dataExport = await ExportService.queueExport(req.user.id, format);
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Your export is being prepared',
+      data: {
+        export: dataExport
+      }
+    });
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get data export status
+// @route   GET /api/users/export/:id
+// @access  Private
+router.get('/export/:id', async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Export not found'
+      });
+    }
+
+    let download = null;
+    if (dataExport.status === 'ready' && dataExport.expiresAt > new Date()) {
+      const { token, expiresAt } = await ExportService.createDownloadToken(dataExport);
+      download = {
+        url: `${req.protocol}://${req.get('host')}/api/users/export/${dataExport._id}/download?token=${token}`,
+        expiresAt
+      };
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        export: dataExport,
+        download
+      }
+    });
+  } catch (error) {
+    console.error('Get export status error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Download a data export
+// @route   GET /api/users/export/:id/download
+// @access  Private
+router.get('/export/:id/download', async (req, res) => {
+  try {
+    const dataExport = await ExportService.findDownloadable(req.params.id, req.user.id, req.query.token);
+
+    if (!dataExport) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const filename = dataExport.format === 'gzip' ? 'helpmate-export.json.gz' : 'helpmate-export.json';
+    res.download(dataExport.filePath, filename);
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get nearby users
 // @route   GET /api/users/nearby
 // @access  Private
-router.get('/nearby', async (req, res) => {
+router.get('/nearby', [
+  query('radius').optional().isInt({ min: 1, max: 50 }).withMessage('Radius must be between 1 and 50 km'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
   try {
-    const { radius = 5 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { radius = 5, limit, cursor } = req.query;
     const user = await User.findById(req.user.id);
 
     if (!user.location || !user.location.coordinates) {
@@ -232,21 +376,27 @@ router.get('/nearby', async (req, res) => {
       });
     }
 
-    const nearbyUsers = await User.findNearby(
-      user.location.coordinates,
-      parseInt(radius)
-    ).select('name age gender location profileImage lastSeen stats.helpfulRating');
+    // Leave out the current user
+    const page = await User.findNearbyPage(user.location.coordinates, parseInt(radius), {
+      excludeId: req.user.id,
+      fields: 'name age gender location profileImage lastSeen phoneVerified skills offers stats.helpfulRating',
+      limit: parseLimit(limit),
+      cursor
+    });
 
-    // Filter out current user
-    const filteredUsers = nearbyUsers.filter(
-      nearbyUser => nearbyUser._id.toString() !== req.user.id
-    );
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      results: filteredUsers.length,
+      results: page.items.length,
+      pagination: page.pagination,
       data: {
-        users: filteredUsers
+        users: page.items
       }
     });
   } catch (error) {
@@ -258,6 +408,101 @@ router.get('/nearby', async (req, res) => {
   }
 });
 
+// @desc    Get a user's public profile
+// @route   GET /api/users/:id/public
+// @access  Private
+router.get('/:id/public', [
+  param('id').isMongoId().withMessage('User ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, isActive: true }).select(PUBLIC_PROFILE_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get reviews a user has received
+// @route   GET /api/users/:id/reviews
+// @access  Private
+router.get('/:id/reviews', [
+  param('id').isMongoId().withMessage('User ID must be valid'),
+  query('role').optional().isIn(['helper', 'requester']).withMessage('Role must be helper or requester'),
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }).withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role, limit, cursor } = req.query;
+    const filter = { reviewee: req.params.id };
+    if (role) filter.role = role;
+
+    const reviews = Review.find(filter)
+      .select('reviewer role rating comment createdAt')
+      .populate('reviewer', 'name profileImage');
+
+    const page = await paginateQuery(reviews, NEWEST_FIRST, {
+      limit: parseLimit(limit),
+      cursor
+    });
+
+    if (!page) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      results: page.items.length,
+      pagination: page.pagination,
+      data: {
+        reviews: page.items
+      }
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Deactivate account
 // @route   PUT /api/users/deactivate
 // @access  Private
@@ -278,17 +523,20 @@ router.put('/deactivate', async (req, res) => {
   }
 });
 
-// @desc    Delete account
+// @desc    Schedule account deletion
 // @route   DELETE /api/users/account
 // @access  Private
-router.delete('/account', async (req, res) => {
+router.delete('/account', requireTwoFactorCode, async (req, res) => {
   try {
-    // In a real app, you might want to anonymize data instead of deleting
-    await User.findByIdAndDelete(req.user.id);
+    // Deletion runs after a grace period; logging back in cancels it
+    const scheduledFor = await AccountDeletionService.scheduleDeletion(req.user);
 
     res.status(200).json({
       status: 'success',
-      message: 'Account deleted successfully'
+      message: 'Account scheduled for deletion. Log in again before the deletion date to cancel.',
+      data: {
+        deletionScheduledFor: scheduledFor
+      }
     });
   } catch (error) {
     console.error('Delete account error:', error);
@@ -1,3 +1,6 @@
+// Load environment variables before any module reads them at load time
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -8,19 +11,26 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const { connectRedis } = require('./utils/redisClient');
-require('dotenv').config();
+const { startScheduler } = require('./utils/scheduler');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const requestRoutes = require('./routes/requests');
+const seriesRoutes = require('./routes/series');
 const chatRoutes = require('./routes/chat');
 const locationRoutes = require('./routes/location');
 const uploadRoutes = require('./routes/upload');
+const adminRoutes = require('./routes/admin');
 
 // Import middleware
-const { protect } = require('./middleware/auth');
+const { protect, authorize } = require('./middleware/auth');
 const errorHandler = require('./middleware/error');
+const socketAuth = require('./middleware/socketAuth');
+
+// Import models used by socket handlers
+const Request = require('./models/Request');
+const Chat = require('./models/Chat');
 
 const app = express();
 const server = http.createServer(app);
@@ -59,10 +69,13 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', protect, userRoutes);
+// Mounted before requestRoutes so /series is not read as a request id
+app.use('/api/requests/series', protect, seriesRoutes);
 app.use('/api/requests', protect, requestRoutes);
 app.use('/api/chat', protect, chatRoutes);
 app.use('/api/location', protect, locationRoutes);
 app.use('/api/upload', protect, uploadRoutes);
+app.use('/api/admin', protect, authorize('moderator', 'admin'), adminRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -73,64 +86,123 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Socket.io authentication: every connection must present a valid access token
+io.use(socketAuth);
+
+// Reply through the client's ack callback when one was provided
+const ack = (callback, payload) => {
+  if (typeof callback === 'function') callback(payload);
+};
+
+const deny = (callback, message) => ack(callback, { status: 'error', message });
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join user to their room
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`User ${userId} joined room`);
+  const { userId } = socket.data;
+  console.log(`User ${userId} connected:`, socket.id);
+
+  // Every socket receives its own user's events
+  socket.join(userId);
+
+  // Kept for older clients; the socket is already in its user's room
+  socket.on('join', (requestedUserId, callback) => {
+    if (requestedUserId && requestedUserId.toString() !== userId) {
+      return deny(callback, 'You can only join your own room');
+    }
+    ack(callback, { status: 'success' });
   });
 
   // Handle chat messages
-  socket.on('sendMessage', (data) => {
-    const { chatId, message, senderId, receiverId } = data;
-    
-    // Emit to both sender and receiver
-    io.to(senderId).emit('newMessage', {
-      chatId,
-      message,
-      senderId,
-      timestamp: new Date()
-    });
-    
-    io.to(receiverId).emit('newMessage', {
-      chatId,
-      message,
-      senderId,
-      timestamp: new Date()
-    });
+  socket.on('sendMessage', async (data = {}, callback) => {
+    try {
+      const { chatId, message, receiverId } = data;
+
+      const chat = await Chat.findById(chatId).select('participants');
+      const participantIds = chat ? chat.participants.map(id => id.toString()) : [];
+
+      if (!participantIds.includes(userId) || !participantIds.includes(String(receiverId))) {
+        return deny(callback, 'You are not a participant in this chat');
+      }
+
+      const payload = {
+        chatId,
+        message,
+        senderId: userId,
+        timestamp: new Date()
+      };
+
+      // Emit to both sender and receiver
+      io.to(userId).emit('newMessage', payload);
+      io.to(String(receiverId)).emit('newMessage', payload);
+
+      ack(callback, { status: 'success' });
+    } catch (error) {
+      console.error('Socket sendMessage error:', error);
+      deny(callback, 'Could not send message');
+    }
   });
 
   // Handle joining/leaving request-specific rooms for location tracking
-  socket.on('joinRequestRoom', (data) => {
-    const { requestId } = data;
-    socket.join(`request-${requestId}`);
-    console.log(`User ${socket.id} joined room request-${requestId}`);
+  socket.on('joinRequestRoom', async (data = {}, callback) => {
+    try {
+      const { requestId } = data;
+      const request = await Request.findById(requestId).select('requester acceptedBy');
+
+      if (!request || !request.isParticipant(userId)) {
+        return deny(callback, 'You are not allowed to join this request');
+      }
+
+      socket.join(`request-${requestId}`);
+      console.log(`User ${userId} joined room request-${requestId}`);
+      ack(callback, { status: 'success' });
+    } catch (error) {
+      console.error('Socket joinRequestRoom error:', error);
+      deny(callback, 'Could not join request room');
+    }
   });
 
-  socket.on('leaveRequestRoom', (data) => {
+  socket.on('leaveRequestRoom', (data = {}, callback) => {
     const { requestId } = data;
     socket.leave(`request-${requestId}`);
-    console.log(`User ${socket.id} left room request-${requestId}`);
+    console.log(`User ${userId} left room request-${requestId}`);
+    ack(callback, { status: 'success' });
   });
 
   // Handle location updates
-  socket.on('updateLocation', async (data) => {
-    const { requestId, userId, location } = data;
+  socket.on('updateLocation', (data = {}, callback) => {
+    const { requestId, location } = data;
+    const room = `request-${requestId}`;
+
+    if (!socket.rooms.has(room)) {
+      return deny(callback, 'Join the request room before sharing your location');
+    }
+
     // Broadcast to the specific request room, excluding the sender
-    socket.to(`request-${requestId}`).emit('locationUpdate', { userId, location });
+    socket.to(room).emit('locationUpdate', { userId, location });
+    ack(callback, { status: 'success' });
   });
 
   // Handle request status updates
-  socket.on('requestUpdate', (data) => {
-    const { requestId, status, userId } = data;
-    socket.broadcast.emit('requestStatusUpdate', { requestId, status, userId });
+  socket.on('requestUpdate', async (data = {}, callback) => {
+    try {
+      const { requestId } = data;
+      const request = await Request.findById(requestId).select('requester status');
+
+      if (!request || request.requester.toString() !== userId) {
+        return deny(callback, 'Only the requester can announce request updates');
+      }
+
+      // Announce the stored status rather than trusting the client's
+      socket.broadcast.emit('requestStatusUpdate', { requestId, status: request.status, userId });
+      ack(callback, { status: 'success' });
+    } catch (error) {
+      console.error('Socket requestUpdate error:', error);
+      deny(callback, 'Could not update request');
+    }
   });
 
   socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+    console.log(`User ${userId} disconnected:`, socket.id);
   });
 });
 
@@ -155,6 +227,9 @@ const startServer = async () => {
     // Connect to Redis
     await connectRedis();
 
+    // Start background jobs
+    startScheduler(io);
+
     // Start Express server
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
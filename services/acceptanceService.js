@@ -0,0 +1,75 @@
+const Request = require('../models/Request');
+const Chat = require('../models/Chat');
+const MetricsService = require('./metricsService');
+const NotificationService = require('../utils/notificationService');
+
+class AcceptanceService {
+  /**
+   * Hands a freed slot to the next waitlisted user as a pending offer.
+   * @param {string} requestId
+   * @param {object} [io]
+   * @returns {Promise<object|null>} The updated request, or null if nobody
+   * could be promoted.
+   */
+  async promoteNextWaitlisted(requestId, io) {
+    const promotion = await Request.promoteFromWaitlist(requestId);
+    if (!promotion) return null;
+
+    const { request, userId } = promotion;
+
+    await MetricsService.recordOffer(request, userId, { measureResponse: false });
+
+    NotificationService.notifyWaitlistPromotion(request, userId);
+    if (io) {
+      io.to(userId.toString()).emit('waitlistPromoted', { requestId: request._id });
+    }
+
+    return request;
+  }
+
+  /**
+   * Withdraws a helper's pending or confirmed offer. A freed slot closes the
+   * helper's chat and goes to the next person on the waitlist, and the
+   * requester is told either way.
+   * @param {object} request
+   * @param {object} helper The withdrawing user, with at least `_id` and `name`.
+   * @param {object} [io]
+   * @returns {Promise<object|null>} The updated request, or null if the
+   * helper had no open offer.
+   */
+  async withdraw(request, helper, io) {
+    const helperId = helper._id.toString();
+    const result = await Request.removeAcceptance(request._id, helperId);
+    if (!result) return null;
+
+    // Dropping a confirmed commitment counts against reliability
+    await MetricsService.recordWithdrawal(request, helperId, result.acceptance);
+
+    if (result.freedSlot) {
+      // The helper leaves the chat and live location room
+      await Chat.updateMany(
+        { request: request._id, participants: helperId },
+        { isActive: false }
+      );
+      if (io) io.in(helperId).socketsLeave(`request-${request._id}`);
+
+      await this.promoteNextWaitlisted(request._id, io);
+    }
+
+    NotificationService.notifyOfferWithdrawn(request, helper, result.freedSlot);
+
+    const updatedRequest = await Request.findById(request._id);
+
+    if (io) {
+      io.emit('requestStatusUpdate', {
+        requestId: updatedRequest._id,
+        status: updatedRequest.status,
+        acceptedCount: updatedRequest.acceptedCount
+      });
+    }
+
+    return updatedRequest;
+  }
+}
+
+module.exports = new AcceptanceService();
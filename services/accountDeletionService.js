@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const Chat = require('../models/Chat');
+const RequestSeries = require('../models/RequestSeries');
+const Review = require('../models/Review');
+const HelperEvent = require('../models/HelperEvent');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const SecurityEvent = require('../models/SecurityEvent');
+const ProximityService = require('./proximityService');
+const SessionService = require('./sessionService');
+const ReviewService = require('./reviewService');
+const AcceptanceService = require('./acceptanceService');
+const NotificationService = require('../utils/notificationService');
+
+const UPLOAD_DIR = path.join(__dirname, '../uploads');
+const DELETED_MESSAGE_TEXT = 'This message was deleted';
+const DELETED_REQUEST_TITLE = 'Deleted request';
+const DELETED_REQUEST_TEXT = 'This request was deleted by its author';
+
+// Requests that still need helpers when their author leaves
+const OPEN_STATUSES = ['active', 'accepted'];
+
+const getGracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Map a public upload URL back to a file inside the uploads directory
+function resolveUploadPath(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  const marker = '/uploads/';
+  const index = url.indexOf(marker);
+  if (index === -1) return null;
+
+  const filePath = path.resolve(UPLOAD_DIR, url.slice(index + marker.length));
+  return filePath.startsWith(UPLOAD_DIR + path.sep) ? filePath : null;
+}
+
+async function removeUploads(urls) {
+  let removed = 0;
+
+  for (const url of urls) {
+    const filePath = resolveUploadPath(url);
+    if (!filePath) continue;
+
+    try {
+      await fs.promises.unlink(filePath);
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error removing upload ${filePath}:`, error);
+      }
+    }
+  }
+
+  return removed;
+}
+
+class AccountDeletionService {
+  /**
+   * Schedules a user's account for deletion after the grace period and signs
+   * them out everywhere. Logging back in cancels the deletion.
+   * @param {object} user
+   * @returns {Promise<Date>} When the account will be deleted.
+   */
+  async scheduleDeletion(user) {
+    const scheduledFor = new Date(Date.now() + getGracePeriodDays() * 24 * 60 * 60 * 1000);
+
+    await User.findByIdAndUpdate(user._id, {
+      deletionRequestedAt: new Date(),
+      deletionScheduledFor: scheduledFor
+    });
+
+    // Stop matching the user with nearby requests during the grace period
+    await ProximityService.removeUser(user._id.toString());
+    await SessionService.revokeAllForUser(user._id);
+
+    return scheduledFor;
+  }
+
+  /**
+   * Deletes every account whose grace period has passed.
+   * @param {object} io The Socket.io server, for request status updates.
+   * @returns {Promise<number>} The number of deleted accounts.
+   */
+  async processDueDeletions(io) {
+    const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+    let deleted = 0;
+    for (const user of users) {
+      try {
+        await this.deleteAccount(user, io);
+        deleted++;
+      } catch (error) {
+        console.error(`Error deleting account ${user._id}:`, error);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Removes a user and everything that points at them.
+   * @param {object} user
+   * @param {object} io
+   */
+  async deleteAccount(user, io) {
+    const userId = user._id;
+    const uploads = user.profileImage ? [user.profileImage] : [];
+
+    // 1. Cancel their open requests and let confirmed helpers know. The
+    // requests stay, stripped of their content, so helpers' chats and
+    // reviews still point at something.
+    const ownRequests = await Request.find({ requester: userId });
+
+    for (const request of ownRequests) {
+      uploads.push(...request.attachments);
+
+      if (OPEN_STATUSES.includes(request.status)) {
+        request.status = 'cancelled';
+        await request.save();
+
+        await NotificationService.notifyRequestStatusChange(request, 'cancelled', user);
+
+        if (io) {
+          io.emit('requestStatusUpdate', {
+            requestId: request._id,
+            status: 'cancelled',
+            acceptedCount: request.acceptedCount
+          });
+        }
+      }
+    }
+
+    await Request.updateMany(
+      { requester: userId },
+      {
+        $set: { title: DELETED_REQUEST_TITLE, description: DELETED_REQUEST_TEXT, attachments: [], revisions: [], feedback: null },
+        $unset: { broadcastAt: 1, 'escalation.nextAt': 1, 'matching.nextWaveAt': 1 }
+      }
+    );
+    await Request.updateMany(
+      { requester: userId, status: 'scheduled' },
+      { status: 'cancelled' }
+    );
+    await RequestSeries.deleteMany({ requester: userId });
+
+    // 2. Withdraw their open offers the same way helpers do themselves, so
+    // freed slots go to the waitlist and requesters hear about it
+    const helpedRequests = await Request.find({
+      acceptedBy: { $elemMatch: { user: userId, status: { $in: ['pending', 'confirmed'] } } }
+    });
+
+    for (const request of helpedRequests) {
+      await AcceptanceService.withdraw(request, user, io);
+    }
+
+    // Then remove whatever else they left on other requests
+    await Request.updateMany(
+      { $or: [{ 'acceptedBy.user': userId }, { 'responses.user': userId }, { 'waitlist.user': userId }] },
+      { $pull: { acceptedBy: { user: userId }, responses: { user: userId }, waitlist: { user: userId } } }
+    );
+    await Request.updateMany(
+      { 'declines.user': userId },
+      { $pull: { declines: { user: userId } } }
+    );
+    await Request.updateMany(
+      { 'responses.replies.user': userId },
+      { $pull: { 'responses.$[].replies': { user: userId } } }
+    );
+
+    // Drop reviews they wrote or received, then rebuild the ratings they fed into
+    const reviewees = await Review.distinct('reviewee', { reviewer: userId });
+    await Review.deleteMany({ $or: [{ reviewer: userId }, { reviewee: userId }] });
+
+    for (const revieweeId of reviewees) {
+      await ReviewService.recalculateRatings(revieweeId);
+    }
+
+    // 3. Anonymize their chat messages, keeping the conversation for the other side
+    const chats = await Chat.find({ participants: userId });
+
+    for (const chat of chats) {
+      chat.messages.forEach(message => {
+        if (message.sender.toString() !== userId.toString()) return;
+
+        if (message.content.fileUrl) uploads.push(message.content.fileUrl);
+
+        message.content = { type: 'text', text: DELETED_MESSAGE_TEXT };
+      });
+
+      if (chat.lastMessage && chat.lastMessage.sender && chat.lastMessage.sender.toString() === userId.toString()) {
+        chat.lastMessage.content = DELETED_MESSAGE_TEXT;
+      }
+
+      chat.isActive = false;
+      await chat.save();
+    }
+
+    // 4. Remove uploaded files
+    await removeUploads(uploads);
+
+    // 5. Purge proximity data, sessions and other personal records
+    await ProximityService.removeUser(userId.toString());
+    await SessionService.revokeAllForUser(userId);
+    await Session.deleteMany({ user: userId });
+
+    const dataExports = await DataExport.find({ user: userId }).select('+filePath');
+    for (const dataExport of dataExports) {
+      if (dataExport.filePath) {
+        await fs.promises.unlink(dataExport.filePath).catch(() => {});
+      }
+    }
+    await DataExport.deleteMany({ user: userId });
+    await SecurityEvent.deleteMany({ user: userId });
+    await HelperEvent.deleteMany({ user: userId });
+
+    await User.findByIdAndDelete(userId);
+
+    console.log(`Deleted account ${userId}`);
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -0,0 +1,94 @@
+const Request = require('../models/Request');
+const NotificationService = require('../utils/notificationService');
+
+class BroadcastService {
+  /**
+   * Delivers a request to a set of users over sockets and push notifications,
+   * and records them as notified so later re-broadcasts can skip them.
+   * @param {object} request The request document.
+   * @param {Array<object>} users Recipients, as returned by ProximityService.
+   * @param {object} io The Socket.io server.
+   * @param {object} [requester] The requester, if already loaded.
+   * @returns {Promise<number>} The number of users reached.
+   */
+  async deliver(request, users, io, requester = null) {
+    // Never re-notify someone who passed on the request
+    const declinedUserIds = users.length ? await Request.getDeclinedUserIds(request._id) : new Set();
+    users = users.filter(user => !declinedUserIds.has(user._id.toString()));
+
+    if (!users.length) {
+      console.log('No nearby users found for broadcasting');
+      return 0;
+    }
+
+    try {
+      // Populate requester info for the payload
+      if (!request.populated('requester')) {
+        await request.populate('requester', 'name age gender profileImage');
+      }
+
+      const requestData = {
+        id: request._id,
+        title: request.title,
+        description: request.description,
+        type: request.type,
+        category: request.category,
+        tags: request.tags,
+        priority: request.priority,
+        location: request.location,
+        radius: request.radius,
+        maxAcceptors: request.maxAcceptors,
+        createdAt: request.createdAt,
+        requester: {
+          _id: request.requester._id,
+          name: request.requester.name,
+          age: request.requester.age,
+          gender: request.requester.gender,
+          profileImage: request.requester.profileImage,
+        },
+        acceptedCount: request.acceptedCount,
+        timeAgo: request.timeAgo,
+      };
+
+      // Broadcast to each nearby user's socket room
+      if (io) {
+        users.forEach(user => {
+          io.to(user._id.toString()).emit('newNearbyRequest', {
+            ...requestData,
+            skillMatch: Boolean(user.skillMatch)
+          });
+        });
+      }
+
+      // Send push notifications to the same users
+      NotificationService.notifyNearbyUsersOfNewRequest(request, requester || request.requester, users);
+
+      const notifiedAt = new Date();
+      await Request.updateOne(
+        { _id: request._id },
+        {
+          $addToSet: { notifiedUsers: { $each: users.map(user => user._id) } },
+          $set: Object.fromEntries(users.map(user => [`notifiedAt.${user._id}`, notifiedAt]))
+        }
+      );
+
+      console.log(`Broadcasted request ${request._id} to ${users.length} nearby users`);
+      return users.length;
+    } catch (error) {
+      console.error('Error broadcasting request:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Loads the ids of users a request has already been delivered to.
+   * @param {string} requestId
+   * @returns {Promise<Set<string>>}
+   */
+  async getNotifiedUserIds(requestId) {
+    const request = await Request.findById(requestId).select('+notifiedUsers');
+    return new Set((request ? request.notifiedUsers : []).map(id => id.toString()));
+  }
+}
+
+module.exports = new BroadcastService();
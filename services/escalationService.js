@@ -0,0 +1,147 @@
+const Request = require('../models/Request');
+const ProximityService = require('./proximityService');
+const BroadcastService = require('./broadcastService');
+const NotificationService = require('../utils/notificationService');
+
+const PRIORITIES = ['low', 'medium', 'high', 'emergency'];
+
+const getConfig = () => ({
+  // Minutes to wait before each escalation step; one step per entry
+  intervals: (process.env.ESCALATION_INTERVALS_MINUTES || '5,10,15')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(value => value > 0),
+  radiusMultiplier: parseFloat(process.env.ESCALATION_RADIUS_MULTIPLIER) || 2,
+  maxRadiusKm: parseInt(process.env.ESCALATION_MAX_RADIUS_KM) || 50,
+  types: (process.env.ESCALATION_TYPES || 'emergency').split(',').map(type => type.trim())
+});
+
+class EscalationService {
+  /**
+   * Schedules the first escalation step for a new request, if its type escalates.
+   * @param {object} request
+   */
+  async schedule(request) {
+    const { intervals, types } = getConfig();
+    if (!types.includes(request.type) || !intervals.length) return;
+
+    request.escalation = {
+      level: 0,
+      nextAt: new Date(Date.now() + intervals[0] * 60 * 1000),
+      steps: []
+    };
+
+    await Request.updateOne(
+      { _id: request._id },
+      { escalation: request.escalation }
+    );
+  }
+
+  /**
+   * Runs every escalation step that is due.
+   * @param {object} io The Socket.io server.
+   * @returns {Promise<number>} The number of requests escalated.
+   */
+  async processDueEscalations(io) {
+    const due = await Request.find({
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      'escalation.nextAt': { $lte: new Date() },
+      // Let every matching wave have its turn before widening the search
+      'matching.nextWaveAt': null,
+      // Any standing offer means someone is on it
+      acceptedBy: { $not: { $elemMatch: { status: { $in: ['pending', 'confirmed'] } } } }
+    });
+
+    let escalated = 0;
+    for (const request of due) {
+      try {
+        if (await this.escalate(request, io)) escalated++;
+      } catch (error) {
+        console.error(`Error escalating request ${request._id}:`, error);
+      }
+    }
+
+    return escalated;
+  }
+
+  /**
+   * Runs the next escalation step for a request: widens the radius, notifies
+   * only newly reached users and bumps priority, or tells the requester that
+   * nobody is available once all steps are used.
+   * @param {object} request
+   * @param {object} io
+   * @returns {Promise<boolean>} Whether this call performed the step.
+   */
+  async escalate(request, io) {
+    const config = getConfig();
+
+    // Claim the step so a concurrent run cannot repeat it
+    const claimed = await Request.findOneAndUpdate(
+      { _id: request._id, 'escalation.nextAt': request.escalation.nextAt },
+      { $unset: { 'escalation.nextAt': 1 } },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    const level = claimed.escalation.level || 0;
+
+    if (level >= config.intervals.length) {
+      claimed.escalation.exhaustedAt = new Date();
+      await claimed.save();
+
+      NotificationService.notifyNoHelpersAvailable(claimed);
+      if (io) {
+        io.to(claimed.requester.toString()).emit('requestEscalation', {
+          requestId: claimed._id,
+          exhausted: true,
+          steps: claimed.escalation.steps
+        });
+      }
+      return true;
+    }
+
+    const radius = Math.min(
+      claimed.radius * config.radiusMultiplier ** (level + 1),
+      config.maxRadiusKm
+    );
+
+    // Reach only users who have not been told about this request yet
+    const notified = await BroadcastService.getNotifiedUserIds(claimed._id);
+    const audience = await ProximityService.findAudience(claimed, radius);
+    const newUsers = audience.filter(user => !notified.has(user._id.toString()));
+
+    const priorityIndex = PRIORITIES.indexOf(claimed.priority);
+    claimed.priority = PRIORITIES[Math.min(priorityIndex + 1, PRIORITIES.length - 1)];
+
+    const step = {
+      level: level + 1,
+      radius,
+      priority: claimed.priority,
+      notifiedCount: newUsers.length,
+      at: new Date()
+    };
+
+    claimed.escalation.level = level + 1;
+    claimed.escalation.steps.push(step);
+    // One more wait after the last widening before telling the requester
+    claimed.escalation.nextAt = new Date(
+      Date.now() + (config.intervals[level + 1] || config.intervals[level]) * 60 * 1000
+    );
+    await claimed.save();
+
+    await BroadcastService.deliver(claimed, newUsers, io);
+
+    if (io) {
+      io.to(claimed.requester._id.toString()).emit('requestEscalation', {
+        requestId: claimed._id,
+        exhausted: false,
+        step
+      });
+    }
+
+    return true;
+  }
+}
+
+module.exports = new EscalationService();
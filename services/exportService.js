@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Request = require('../models/Request');
+const Chat = require('../models/Chat');
+const RequestSeries = require('../models/RequestSeries');
+const Review = require('../models/Review');
+const HelperEvent = require('../models/HelperEvent');
+const DataExport = require('../models/DataExport');
+
+const EXPORT_DIR = path.join(__dirname, '../exports');
+
+// What a requester sees of their own requests in the app. Moderation reports,
+// declines and matching internals about other users stay out of the export.
+const CREATED_REQUEST_FIELDS = [
+  'title', 'description', 'type', 'category', 'tags', 'status', 'location', 'radius',
+  'maxAcceptors', 'acceptedBy', 'filters', 'waitlist', 'attachments', 'priority',
+  'startsAt', 'broadcastAt', 'publishedAt', 'series', 'expiresAt', 'revisions',
+  'extensionCount', 'responses', 'completedAt', 'rating', 'feedback', 'viewCount',
+  'shareCount', 'createdAt', 'updatedAt'
+].join(' ');
+
+const getConfig = () => ({
+  // Exports touching more records than this are built in the background
+  syncMaxRecords: parseInt(process.env.EXPORT_SYNC_MAX_RECORDS) || 200,
+  linkExpireHours: parseInt(process.env.EXPORT_LINK_EXPIRE_HOURS) || 24,
+  // A build still processing after this long is assumed to have died with its server
+  staleMinutes: parseInt(process.env.EXPORT_STALE_MINUTES) || 30,
+  maxAttempts: parseInt(process.env.EXPORT_MAX_ATTEMPTS) || 3
+});
+
+// Queued exports built per scheduler run
+const PROCESS_BATCH_SIZE = 10;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Exports in progress but untouched since before this have stalled
+function getStaleBefore() {
+  return new Date(Date.now() - getConfig().staleMinutes * 60 * 1000);
+}
+
+// Keep only enough of a device token to recognise it
+function redactToken(token) {
+  return token ? `…${token.slice(-6)}` : '';
+}
+
+class ExportService {
+  /**
+   * Counts the records an export would contain, to decide between building
+   * it inline or in the background.
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async countRecords(userId) {
+    const [requests, chats] = await Promise.all([
+      Request.countDocuments({ $or: [{ requester: userId }, { 'acceptedBy.user': userId }] }),
+      Chat.countDocuments({ participants: userId })
+    ]);
+    return requests + chats;
+  }
+
+  /**
+   * Collects everything stored about a user.
+   * @param {string} userId
+   * @returns {Promise<object>}
+   */
+  async buildExport(userId) {
+    const user = await User.findById(userId).lean();
+    if (!user) throw new Error('User not found');
+
+    const [requestsCreated, requestsAccepted, chats, requestSeries, requestsAskedAbout, reviewsWritten, reviewsReceived, helperActivity] = await Promise.all([
+      Request.find({ requester: userId }).select(CREATED_REQUEST_FIELDS).lean(),
+      Request.find({ 'acceptedBy.user': userId })
+        .select('title description type status location createdAt expiresAt completedAt acceptedBy responses')
+        .lean(),
+      Chat.find({ participants: userId })
+        .populate('request', 'title')
+        .lean(),
+      RequestSeries.find({ requester: userId }).lean(),
+      Request.find({ 'responses.user': userId, requester: { $ne: userId } })
+        .select('title responses')
+        .lean(),
+      Review.find({ reviewer: userId }).lean(),
+      Review.find({ reviewee: userId }).select('-reviewer').lean(),
+      HelperEvent.find({ user: userId }).select('-user').lean()
+    ]);
+
+    const id = userId.toString();
+
+    const chatData = chats.map(chat => ({
+      id: chat._id,
+      request: chat.request ? { id: chat.request._id, title: chat.request.title } : null,
+      createdAt: chat.createdAt,
+      messages: chat.messages
+        .filter(message => message.sender.toString() === id)
+        .map(message => ({
+          id: message._id,
+          content: message.content,
+          timestamp: message.timestamp,
+          edited: message.edited,
+          editedAt: message.editedAt
+        }))
+    }));
+
+    const uploads = [
+      ...(user.profileImage ? [{ source: 'profile', url: user.profileImage }] : []),
+      ...requestsCreated.flatMap(request => (request.attachments || []).map(url => ({
+        source: 'request',
+        requestId: request._id,
+        url
+      }))),
+      ...chatData.flatMap(chat => chat.messages
+        .filter(message => message.content && message.content.fileUrl)
+        .map(message => ({ source: 'chat', chatId: chat.id, url: message.content.fileUrl })))
+    ];
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        age: user.age,
+        gender: user.gender,
+        bio: user.bio,
+        location: user.location,
+        profileImage: user.profileImage,
+        role: user.role,
+        isActive: user.isActive,
+        lastSeen: user.lastSeen,
+        twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+        stats: user.stats,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      settings: user.settings,
+      deviceTokens: (user.deviceTokens || []).map(deviceToken => ({
+        token: redactToken(deviceToken.token),
+        platform: deviceToken.platform,
+        lastUsed: deviceToken.lastUsed
+      })),
+      requestsCreated,
+      requestSeries,
+      requestsAccepted: requestsAccepted.map(request => ({
+        ...request,
+        acceptedBy: request.acceptedBy.filter(acceptance => acceptance.user.toString() === id),
+        responses: (request.responses || []).filter(response => response.user && response.user.toString() === id)
+      })),
+      questions: requestsAskedAbout.flatMap(request => (request.responses || [])
+        .filter(response => response.responseType === 'question' && response.user && response.user.toString() === id)
+        .map(question => ({
+          request: { id: request._id, title: request.title },
+          ...question
+        }))),
+      chats: chatData,
+      reviews: {
+        written: reviewsWritten,
+        received: reviewsReceived
+      },
+      helperActivity,
+      uploads
+    };
+  }
+
+  /**
+   * Serializes an export in the requested format.
+   * @param {object} data
+   * @param {string} format 'json' or 'gzip'.
+   * @returns {Buffer}
+   */
+  serialize(data, format) {
+    const json = Buffer.from(JSON.stringify(data, null, 2));
+    return format === 'gzip' ? zlib.gzipSync(json) : json;
+  }
+
+  /**
+   * Queues an export to be built in the background.
+   * @param {string} userId
+   * @param {string} format
+   * @returns {Promise<object>} The DataExport document.
+   */
+  async queueExport(userId, format) {
+    const dataExport = await DataExport.create({ user: userId, format });
+
+    setImmediate(() => {
+      this.processExport(dataExport._id).catch(error => {
+        console.error('Error processing data export:', error);
+      });
+    });
+
+    return dataExport;
+  }
+
+  /**
+   * Builds a queued export and writes it to disk.
+   * @param {string} exportId
+   */
+  async processExport(exportId) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'pending' },
+      { status: 'processing', $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!dataExport) return;
+
+    try {
+      const data = await this.buildExport(dataExport.user);
+      const buffer = this.serialize(data, dataExport.format);
+
+      await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+      const extension = dataExport.format === 'gzip' ? 'json.gz' : 'json';
+      const filePath = path.join(EXPORT_DIR, `${dataExport._id}.${extension}`);
+      await fs.promises.writeFile(filePath, buffer);
+
+      dataExport.status = 'ready';
+      dataExport.filePath = filePath;
+      dataExport.fileSize = buffer.length;
+      dataExport.completedAt = new Date();
+      dataExport.expiresAt = new Date(Date.now() + getConfig().linkExpireHours * 60 * 60 * 1000);
+      await dataExport.save();
+    } catch (error) {
+      dataExport.status = 'failed';
+      dataExport.error = error.message;
+      await dataExport.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Finds an export of the user's that is still queued or being built and
+   * has not stalled.
+   * @param {string} userId
+   * @returns {Promise<object|null>}
+   */
+  findInProgress(userId) {
+    return DataExport.findOne({
+      user: userId,
+      status: { $in: ['pending', 'processing'] },
+      updatedAt: { $gt: getStaleBefore() }
+    });
+  }
+
+  /**
+   * Picks up exports the in-process queue never finished, e.g. because the
+   * server restarted. Stalled builds are retried until they run out of
+   * attempts, then marked failed.
+   * @returns {Promise<number>} The number of exports built.
+   */
+  async processQueuedExports() {
+    const staleBefore = getStaleBefore();
+    const stalled = { status: 'processing', updatedAt: { $lte: staleBefore } };
+
+    await DataExport.updateMany(
+      { ...stalled, attempts: { $gte: getConfig().maxAttempts } },
+      { status: 'failed', error: 'Export timed out' }
+    );
+    await DataExport.updateMany(stalled, { status: 'pending' });
+
+    const queued = await DataExport.find({ status: 'pending' })
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(PROCESS_BATCH_SIZE);
+
+    let builtCount = 0;
+    for (const dataExport of queued) {
+      try {
+        await this.processExport(dataExport._id);
+        builtCount++;
+      } catch (error) {
+        console.error('Error processing data export:', error);
+      }
+    }
+
+    return builtCount;
+  }
+
+  /**
+   * Issues a fresh download link token for a ready export. The link lives
+   * as long as the file; issuing a new token invalidates the previous one.
+   * @param {object} dataExport
+   * @returns {Promise<{token: string, expiresAt: Date}>}
+   */
+  async createDownloadToken(dataExport) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await DataExport.findByIdAndUpdate(dataExport._id, {
+      downloadTokenHash: hashToken(token)
+    });
+
+    return { token, expiresAt: dataExport.expiresAt };
+  }
+
+  /**
+   * Finds a ready export for a download token.
+   * @param {string} exportId
+   * @param {string} userId
+   * @param {string} token
+   * @returns {Promise<object|null>}
+   */
+  findDownloadable(exportId, userId, token) {
+    if (!token) return null;
+
+    return DataExport.findOne({
+      _id: exportId,
+      user: userId,
+      status: 'ready',
+      downloadTokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    }).select('+filePath');
+  }
+
+  /**
+   * Deletes files of exports whose download link has expired.
+   * @returns {Promise<number>} The number of exports purged.
+   */
+  async purgeExpired() {
+    const expired = await DataExport.find({
+      status: 'ready',
+      expiresAt: { $lte: new Date() }
+    }).select('+filePath');
+
+    for (const dataExport of expired) {
+      if (dataExport.filePath) {
+        await fs.promises.unlink(dataExport.filePath).catch(() => {});
+      }
+      dataExport.status = 'expired';
+      dataExport.filePath = undefined;
+      await dataExport.save();
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Whether an export of this many records should be built in the background.
+   * @param {number} recordCount
+   * @returns {boolean}
+   */
+  shouldRunAsync(recordCount) {
+    return recordCount > getConfig().syncMaxRecords;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,198 @@
+const { redisClient } = require('../utils/redisClient');
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+
+const getConfig = () => ({
+  windowSeconds: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60,
+  lockoutSeconds: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60,
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  maxDelayMs: parseInt(process.env.LOGIN_MAX_DELAY_MS) || 5000
+});
+
+const keys = {
+  accountFailures: (email) => `login:fail:account:${email}`,
+  ipFailures: (ip) => `login:fail:ip:${ip}`,
+  accountLock: (email) => `login:lock:account:${email}`,
+  ipLock: (ip) => `login:lock:ip:${ip}`
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class LoginThrottleService {
+  /**
+   * Checks whether a login attempt may proceed and applies the progressive
+   * delay earned by previous failures.
+   * @param {string} email The normalized login email.
+   * @param {string} ip
+   * @returns {Promise<{allowed: boolean, code?: string, retryAfter?: number}>}
+   */
+  async checkAttempt(email, ip) {
+    if (!redisClient.isOpen) return { allowed: true };
+
+    try {
+      const [accountLockTtl, ipLockTtl, accountFailures] = await Promise.all([
+        redisClient.ttl(keys.accountLock(email)),
+        redisClient.ttl(keys.ipLock(ip)),
+        redisClient.get(keys.accountFailures(email))
+      ]);
+
+      if (accountLockTtl > 0) {
+        return { allowed: false, code: 'ACCOUNT_LOCKED', retryAfter: accountLockTtl };
+      }
+
+      if (ipLockTtl > 0) {
+        return { allowed: false, code: 'TOO_MANY_ATTEMPTS', retryAfter: ipLockTtl };
+      }
+
+      // Each consecutive failure doubles the wait, starting at 250ms
+      const failures = parseInt(accountFailures) || 0;
+      if (failures > 0) {
+        await sleep(Math.min(250 * 2 ** (failures - 1), getConfig().maxDelayMs));
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      console.error('Error checking login throttle in Redis:', error);
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * Counts a failed login and locks the account or IP once a limit is reached.
+   * @param {string} email The normalized login email.
+   * @param {string} ip
+   * @param {object|null} user The matching user, if the email exists.
+   */
+  async recordFailure(email, ip, user = null) {
+    if (!redisClient.isOpen) return;
+
+    const config = getConfig();
+
+    try {
+      const [accountFailures, ipFailures] = await Promise.all([
+        this.increment(keys.accountFailures(email), config.windowSeconds),
+        this.increment(keys.ipFailures(ip), config.windowSeconds)
+      ]);
+
+      const lockedUntil = new Date(Date.now() + config.lockoutSeconds * 1000);
+
+      if (accountFailures >= config.maxAccountFailures) {
+        await redisClient.multi()
+          .set(keys.accountLock(email), '1', { expiration: { type: 'EX', value: config.lockoutSeconds } })
+          .del(keys.accountFailures(email))
+          .exec();
+
+        await SecurityEvent.create({
+          type: 'account_locked',
+          user: user ? user._id : undefined,
+          email,
+          ip,
+          failedAttempts: accountFailures,
+          lockedUntil
+        });
+      }
+
+      if (ipFailures >= config.maxIpFailures) {
+        await redisClient.multi()
+          .set(keys.ipLock(ip), '1', { expiration: { type: 'EX', value: config.lockoutSeconds } })
+          .del(keys.ipFailures(ip))
+          .exec();
+
+        await SecurityEvent.create({
+          type: 'ip_blocked',
+          ip,
+          email,
+          failedAttempts: ipFailures,
+          lockedUntil
+        });
+      }
+    } catch (error) {
+      console.error('Error recording login failure:', error);
+    }
+  }
+
+  /**
+   * Clears the failure counter after a successful login.
+   * @param {string} email
+   */
+  async recordSuccess(email) {
+    if (!redisClient.isOpen) return;
+
+    try {
+      await redisClient.del(keys.accountFailures(email));
+    } catch (error) {
+      console.error('Error clearing login failures:', error);
+    }
+  }
+
+  /**
+   * Lifts an account lockout, e.g. after the owner reset their password.
+   * @param {object} user
+   * @param {string} reason
+   */
+  async unlockAccount(user, reason) {
+    if (!redisClient.isOpen) return;
+
+    try {
+      const removed = await redisClient.del([
+        keys.accountLock(user.email),
+        keys.accountFailures(user.email)
+      ]);
+
+      if (removed > 0) {
+        await SecurityEvent.create({
+          type: 'account_unlocked',
+          user: user._id,
+          email: user.email,
+          reason
+        });
+      }
+    } catch (error) {
+      console.error('Error unlocking account:', error);
+    }
+  }
+
+  /**
+   * Summarizes lockouts per account so staff can spot targeted users.
+   * @param {Date} since
+   * @returns {Promise<Array<object>>}
+   */
+  async getTargetedAccounts(since) {
+    const accounts = await SecurityEvent.aggregate([
+      { $match: { type: 'account_locked', createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: '$email',
+          user: { $first: '$user' },
+          lockouts: { $sum: 1 },
+          ips: { $addToSet: '$ip' },
+          lastLockedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { lockouts: -1, lastLockedAt: -1 } }
+    ]);
+
+    await User.populate(accounts, { path: 'user', select: 'name email role isActive' });
+
+    return accounts.map(account => ({
+      email: account._id,
+      user: account.user,
+      lockouts: account.lockouts,
+      ips: account.ips,
+      lastLockedAt: account.lastLockedAt
+    }));
+  }
+
+  // Increment a counter, starting its expiry window on the first hit
+  async increment(key, windowSeconds) {
+    const count = await redisClient.incr(key);
+    if (count === 1) {
+      await redisClient.expire(key, windowSeconds);
+    }
+
+    return count;
+  }
+}
+
+module.exports = new LoginThrottleService();
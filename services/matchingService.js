@@ -0,0 +1,247 @@
+const Request = require('../models/Request');
+const User = require('../models/User');
+const ProximityService = require('./proximityService');
+const BroadcastService = require('./broadcastService');
+
+// Default weight of each factor in a candidate's score
+const DEFAULT_WEIGHTS = {
+  distance: 0.3,
+  rating: 0.2,
+  responseTime: 0.15,
+  activity: 0.15,
+  load: 0.1,
+  skill: 0.1
+};
+
+// Acceptance states that count towards a helper's current load
+const LOAD_STATUSES = ['pending', 'confirmed'];
+
+const parseWeights = () => {
+  const weights = { ...DEFAULT_WEIGHTS };
+
+  if (process.env.MATCHING_WEIGHTS) {
+    try {
+      // e.g. {"distance":0.5,"rating":0.3}; unknown keys are ignored
+      const overrides = JSON.parse(process.env.MATCHING_WEIGHTS);
+      Object.keys(DEFAULT_WEIGHTS).forEach(factor => {
+        if (typeof overrides[factor] === 'number' && overrides[factor] >= 0) {
+          weights[factor] = overrides[factor];
+        }
+      });
+    } catch (error) {
+      console.error('Invalid MATCHING_WEIGHTS, using defaults:', error.message);
+    }
+  }
+
+  return weights;
+};
+
+const getConfig = () => ({
+  weights: parseWeights(),
+  waveSize: parseInt(process.env.MATCHING_WAVE_SIZE) || 10,
+  waveWindowMinutes: parseInt(process.env.MATCHING_WAVE_WINDOW_MINUTES) || 3,
+  // Response times around this many minutes score 0.5
+  responseTimeReference: parseInt(process.env.MATCHING_RESPONSE_TIME_REFERENCE_MINUTES) || 30,
+  // Users last seen around this many hours ago score 0.5 for activity
+  activityReference: parseInt(process.env.MATCHING_ACTIVITY_REFERENCE_HOURS) || 24
+});
+
+class MatchingService {
+  /**
+   * Counts each user's standing offers on open requests.
+   * @param {Array<string>} userIds
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getLoads(userIds) {
+    const loads = await Request.aggregate([
+      { $match: { status: { $in: ['active', 'accepted'] }, 'acceptedBy.user': { $in: userIds } } },
+      { $unwind: '$acceptedBy' },
+      { $match: { 'acceptedBy.user': { $in: userIds }, 'acceptedBy.status': { $in: LOAD_STATUSES } } },
+      { $group: { _id: '$acceptedBy.user', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(loads.map(load => [load._id.toString(), load.count]));
+  }
+
+  /**
+   * Scores one candidate. Every factor is normalised to 0-1, higher is better.
+   * Users without a rating or response time yet get a neutral 0.5.
+   * @param {object} user Candidate with `distanceKm` and `skillMatch`.
+   * @param {object} context
+   * @returns {{score: number, factors: object}}
+   */
+  scoreCandidate(user, { radiusKm, load, weights, config }) {
+    const stats = user.stats || {};
+    const hoursSinceSeen = user.lastSeen ? (Date.now() - user.lastSeen.getTime()) / (60 * 60 * 1000) : Infinity;
+
+    const factors = {
+      distance: Math.max(0, 1 - user.distanceKm / radiusKm),
+      rating: stats.totalRatings > 0 ? stats.helpfulRating / 5 : 0.5,
+      responseTime: stats.averageResponseTime > 0
+        ? config.responseTimeReference / (config.responseTimeReference + stats.averageResponseTime)
+        : 0.5,
+      activity: config.activityReference / (config.activityReference + hoursSinceSeen),
+      load: 1 / (1 + load),
+      skill: user.skillMatch ? 1 : 0
+    };
+
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+    const score = Object.keys(factors)
+      .reduce((sum, factor) => sum + factors[factor] * weights[factor], 0) / totalWeight;
+
+    return { score, factors };
+  }
+
+  /**
+   * Ranks a request's candidates, best first, capped at `filters.maxRecipients`.
+   * @param {object} request
+   * @param {number} [radiusKm]
+   * @returns {Promise<Array<{user: object, score: number, factors: object}>>}
+   */
+  async rankCandidates(request, radiusKm = request.radius) {
+    const config = getConfig();
+    const candidates = await ProximityService.findCandidates(request, radiusKm);
+    if (!candidates.length) return [];
+
+    const loads = await this.getLoads(candidates.map(user => user._id));
+
+    const ranked = candidates
+      .map(user => ({
+        user,
+        ...this.scoreCandidate(user, {
+          radiusKm,
+          load: loads.get(user._id.toString()) || 0,
+          weights: config.weights,
+          config
+        })
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    const maxRecipients = (request.filters && request.filters.maxRecipients) || ranked.length;
+    return ranked.slice(0, maxRecipients);
+  }
+
+  /**
+   * Ranks the candidates for a newly live request, records them on the
+   * request and notifies the first wave. Emergencies go out in one wave.
+   * @param {object} request
+   * @param {object} io The Socket.io server.
+   * @param {object} [requester]
+   * @returns {Promise<number>} The number of users notified now.
+   */
+  async start(request, io, requester = null) {
+    const config = getConfig();
+    const ranked = await this.rankCandidates(request);
+    const waveSize = request.type === 'emergency' ? Math.max(ranked.length, 1) : config.waveSize;
+    const totalWaves = Math.ceil(ranked.length / waveSize);
+
+    const candidates = ranked.map((candidate, index) => ({
+      user: candidate.user._id,
+      score: Math.round(candidate.score * 1000) / 1000,
+      factors: candidate.factors,
+      distanceKm: Math.round(candidate.user.distanceKm * 100) / 100,
+      wave: Math.floor(index / waveSize) + 1
+    }));
+
+    await Request.updateOne({ _id: request._id }, {
+      matching: {
+        wave: 0,
+        totalWaves,
+        weights: config.weights,
+        candidates
+      }
+    });
+
+    return this.notifyWave(request, 1, ranked.filter((candidate, index) => candidates[index].wave === 1), io, requester);
+  }
+
+  /**
+   * Delivers one wave and schedules the next, if any.
+   * @param {object} request
+   * @param {number} wave
+   * @param {Array<{user: object}>} waveCandidates
+   * @param {object} io
+   * @param {object} [requester]
+   * @returns {Promise<number>}
+   */
+  async notifyWave(request, wave, waveCandidates, io, requester = null) {
+    const { waveWindowMinutes } = getConfig();
+    const users = waveCandidates.map(candidate => candidate.user);
+    const userIds = users.map(user => user._id);
+
+    const updated = await Request.findOneAndUpdate(
+      { _id: request._id },
+      {
+        'matching.wave': wave,
+        'matching.candidates.$[candidate].notifiedAt': new Date()
+      },
+      { new: true, arrayFilters: [{ 'candidate.user': { $in: userIds } }] }
+    );
+
+    // Give this wave a window before moving on to the next one
+    if (updated && wave < updated.matching.totalWaves) {
+      await Request.updateOne(
+        { _id: request._id },
+        { 'matching.nextWaveAt': new Date(Date.now() + waveWindowMinutes * 60 * 1000) }
+      );
+    }
+
+    return BroadcastService.deliver(request, users, io, requester);
+  }
+
+  /**
+   * Notifies the next wave of every request whose wave window has passed and
+   * that still has open slots without a standing offer.
+   * @param {object} io
+   * @returns {Promise<number>} The number of waves sent.
+   */
+  async processDueWaves(io) {
+    const due = await Request.find({
+      status: 'active',
+      expiresAt: { $gt: new Date() },
+      'matching.nextWaveAt': { $lte: new Date() }
+    }).select('+matching.candidates');
+
+    let sent = 0;
+    for (const request of due) {
+      try {
+        const standingOffers = request.acceptedBy
+          .filter(acceptance => LOAD_STATUSES.includes(acceptance.status)).length;
+
+        // Enough people have offered for now; check again after another window
+        const update = standingOffers >= request.maxAcceptors
+          ? { 'matching.nextWaveAt': new Date(Date.now() + getConfig().waveWindowMinutes * 60 * 1000) }
+          : { $unset: { 'matching.nextWaveAt': 1 } };
+
+        // Claim the wave so a concurrent run cannot send it twice
+        const claimed = await Request.findOneAndUpdate(
+          { _id: request._id, 'matching.nextWaveAt': request.matching.nextWaveAt },
+          update
+        );
+        if (!claimed || standingOffers >= request.maxAcceptors) continue;
+
+        const wave = request.matching.wave + 1;
+        const notified = await BroadcastService.getNotifiedUserIds(request._id);
+        const waveUserIds = request.matching.candidates
+          .filter(candidate => candidate.wave === wave && !notified.has(candidate.user.toString()))
+          .map(candidate => candidate.user);
+
+        // Reload recipients so accounts closed since ranking are skipped
+        const users = await User.find({
+          _id: { $in: waveUserIds },
+          isActive: true,
+          deletionScheduledFor: null
+        }).select('_id deviceTokens settings');
+
+        await this.notifyWave(request, wave, users.map(user => ({ user })), io);
+        sent++;
+      } catch (error) {
+        console.error(`Error sending matching wave for request ${request._id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new MatchingService();
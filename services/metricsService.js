@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const User = require('../models/User');
+const HelperEvent = require('../models/HelperEvent');
+
+// Users reconciled per batch
+const RECONCILE_BATCH_SIZE = 500;
+
+// Stats the reconciliation job rebuilds from requests and the event ledger
+const RECONCILED_FIELDS = [
+  'requestsSent', 'requestsAccepted', 'averageResponseTime', 'responseTimeSamples',
+  'commitments', 'completions', 'cancellations', 'noShows'
+];
+
+// Dropping a confirmed commitment this close to the start counts as a no-show
+const getNoShowWindowMinutes = () => parseInt(process.env.NO_SHOW_WINDOW_MINUTES) || 60;
+
+const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+// Aggregation update stage adding `amount` to a stat without going below zero
+const incrementStat = (field, amount) => ({
+  [`stats.${field}`]: { $max: [0, { $add: [{ $ifNull: [`$stats.${field}`, 0] }, amount] }] }
+});
+
+class MetricsService {
+  /**
+   * Minutes between a user being reached by a request and offering to help.
+   * Users who found the request themselves are measured from when it went live.
+   * @param {string} requestId
+   * @param {string} userId
+   * @returns {Promise<number|null>}
+   */
+  async getResponseMinutes(requestId, userId) {
+    const request = await Request.findById(requestId).select(`notifiedAt.${userId} publishedAt createdAt`);
+    if (!request) return null;
+
+    const reachedAt = (request.notifiedAt && request.notifiedAt.get(userId.toString())) ||
+      request.publishedAt || request.createdAt;
+
+    return Math.max(0, (Date.now() - reachedAt.getTime()) / (60 * 1000));
+  }
+
+  /**
+   * Records an offer to help. Offers made from the waitlist are not a
+   * response to the broadcast, so they skip the response time.
+   * @param {object} request
+   * @param {string} userId
+   * @param {{measureResponse?: boolean}} [options]
+   */
+  async recordOffer(request, userId, { measureResponse = true } = {}) {
+    try {
+      const responseMinutes = measureResponse ? await this.getResponseMinutes(request._id, userId) : null;
+
+      await HelperEvent.create({ type: 'offered', user: userId, request: request._id, responseMinutes });
+
+      const update = incrementStat('requestsAccepted', 1);
+
+      if (responseMinutes !== null) {
+        const samples = { $ifNull: ['$stats.responseTimeSamples', 0] };
+        update['stats.averageResponseTime'] = {
+          $divide: [
+            { $add: [{ $multiply: [{ $ifNull: ['$stats.averageResponseTime', 0] }, samples] }, responseMinutes] },
+            { $add: [samples, 1] }
+          ]
+        };
+        Object.assign(update, incrementStat('responseTimeSamples', 1));
+      }
+
+      await User.updateOne({ _id: userId }, [{ $set: update }]);
+    } catch (error) {
+      console.error('Error recording offer metrics:', error);
+    }
+  }
+
+  /**
+   * Records a withdrawn offer. Only confirmed helpers dropping out count as
+   * a cancellation; doing so near the start also counts as a no-show.
+   * @param {object} request
+   * @param {string} userId
+   * @param {object} acceptance The offer as it was before withdrawal.
+   */
+  async recordWithdrawal(request, userId, acceptance) {
+    try {
+      const update = incrementStat('requestsAccepted', -1);
+
+      if (acceptance.status === 'confirmed') {
+        const noShow = this.isNoShow(request);
+
+        await HelperEvent.create({ type: 'cancelled', user: userId, request: request._id, noShow });
+
+        Object.assign(update, incrementStat('cancellations', 1));
+        if (noShow) Object.assign(update, incrementStat('noShows', 1));
+      }
+
+      await User.updateOne({ _id: userId }, [{ $set: update }]);
+    } catch (error) {
+      console.error('Error recording withdrawal metrics:', error);
+    }
+  }
+
+  /**
+   * Requests needed right away are always inside the window; scheduled ones
+   * enter it shortly before they start.
+   * @param {object} request
+   * @returns {boolean}
+   */
+  isNoShow(request) {
+    const startsAt = request.startsAt || request.publishedAt || request.createdAt;
+    return Date.now() >= startsAt.getTime() - getNoShowWindowMinutes() * 60 * 1000;
+  }
+
+  /**
+   * Records the requester confirming a helper.
+   * @param {object} request
+   * @param {string} userId
+   */
+  async recordCommitment(request, userId) {
+    try {
+      await HelperEvent.create({ type: 'confirmed', user: userId, request: request._id });
+      await User.updateOne({ _id: userId }, { $inc: { 'stats.commitments': 1 } });
+    } catch (error) {
+      console.error('Error recording commitment metrics:', error);
+    }
+  }
+
+  /**
+   * Records helpers seeing a request through to completion.
+   * @param {object} request
+   * @param {Array<string>} userIds
+   */
+  async recordCompletions(request, userIds) {
+    if (!userIds.length) return;
+
+    try {
+      await HelperEvent.insertMany(userIds.map(userId => ({ type: 'completed', user: userId, request: request._id })));
+      await User.updateMany({ _id: { $in: userIds } }, { $inc: { 'stats.completions': 1 } });
+    } catch (error) {
+      console.error('Error recording completion metrics:', error);
+    }
+  }
+
+  /**
+   * Derives a user's reliability rates from their counters.
+   * @param {object} stats User.stats
+   * @returns {{completionRate: number|null, cancellationRate: number|null, noShowRate: number|null}}
+   */
+  getRates(stats) {
+    const rate = (count) => (stats.commitments > 0 ? Math.min(1, (count || 0) / stats.commitments) : null);
+
+    return {
+      completionRate: rate(stats.completions),
+      cancellationRate: rate(stats.cancellations),
+      noShowRate: rate(stats.noShows)
+    };
+  }
+
+  /**
+   * Works out what a batch of users' stats should be from their requests
+   * and helper events.
+   * @param {Array<string>} userIds
+   * @returns {Promise<Map<string, object>>} Expected stats by user id.
+   */
+  async computeStats(userIds) {
+    const ids = toObjectIds(userIds);
+
+    const [sent, accepted, events] = await Promise.all([
+      Request.aggregate([
+        { $match: { requester: { $in: ids } } },
+        { $group: { _id: '$requester', count: { $sum: 1 } } }
+      ]),
+      Request.aggregate([
+        { $match: { 'acceptedBy.user': { $in: ids } } },
+        { $unwind: '$acceptedBy' },
+        { $match: { 'acceptedBy.user': { $in: ids } } },
+        { $group: { _id: '$acceptedBy.user', count: { $sum: 1 } } }
+      ]),
+      HelperEvent.aggregate([
+        { $match: { user: { $in: ids } } },
+        {
+          $group: {
+            _id: '$user',
+            averageResponseTime: { $avg: '$responseMinutes' },
+            responseTimeSamples: { $sum: { $cond: [{ $isNumber: '$responseMinutes' }, 1, 0] } },
+            commitments: { $sum: { $cond: [{ $eq: ['$type', 'confirmed'] }, 1, 0] } },
+            completions: { $sum: { $cond: [{ $eq: ['$type', 'completed'] }, 1, 0] } },
+            cancellations: { $sum: { $cond: [{ $eq: ['$type', 'cancelled'] }, 1, 0] } },
+            noShows: { $sum: { $cond: [{ $eq: ['$noShow', true] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const expected = new Map(userIds.map(id => [id.toString(), {
+      requestsSent: 0,
+      requestsAccepted: 0,
+      averageResponseTime: 0,
+      responseTimeSamples: 0,
+      commitments: 0,
+      completions: 0,
+      cancellations: 0,
+      noShows: 0
+    }]));
+
+    sent.forEach(({ _id, count }) => { expected.get(_id.toString()).requestsSent = count; });
+    accepted.forEach(({ _id, count }) => { expected.get(_id.toString()).requestsAccepted = count; });
+    events.forEach(({ _id, ...totals }) => {
+      Object.assign(expected.get(_id.toString()), totals, {
+        averageResponseTime: totals.averageResponseTime || 0
+      });
+    });
+
+    return expected;
+  }
+
+  /**
+   * Rebuilds every user's counters from the source data, fixing any that
+   * drifted from missed or failed incremental updates.
+   * @returns {Promise<number>} The number of users whose stats were corrected.
+   */
+  async reconcile() {
+    let corrected = 0;
+    let lastId = null;
+
+    for (;;) {
+      const users = await User.find(lastId ? { _id: { $gt: lastId } } : {})
+        .select('stats')
+        .sort({ _id: 1 })
+        .limit(RECONCILE_BATCH_SIZE)
+        .lean();
+
+      if (!users.length) break;
+      lastId = users[users.length - 1]._id;
+
+      const expected = await this.computeStats(users.map(user => user._id));
+
+      // Only write users whose stored counters disagree
+      const operations = users
+        .filter(user => {
+          const stats = user.stats || {};
+          const target = expected.get(user._id.toString());
+          return RECONCILED_FIELDS.some(field => Math.abs((stats[field] || 0) - target[field]) > 1e-6);
+        })
+        .map(user => {
+          const target = expected.get(user._id.toString());
+          return {
+            updateOne: {
+              filter: { _id: user._id },
+              update: { $set: Object.fromEntries(RECONCILED_FIELDS.map(field => [`stats.${field}`, target[field]])) }
+            }
+          };
+        });
+
+      if (operations.length) {
+        await User.bulkWrite(operations, { ordered: false });
+        corrected += operations.length;
+      }
+    }
+
+    return corrected;
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { redisClient } = require('../utils/redisClient');
+const SmsService = require('../utils/smsService');
+
+const OTP_KEY_PREFIX = 'otp:phone:';
+const COOLDOWN_KEY_PREFIX = 'otp:phone:cooldown:';
+
+const getConfig = () => ({
+  ttlSeconds: parseInt(process.env.PHONE_OTP_TTL_SECONDS) || 300,
+  maxAttempts: parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS) || 5,
+  resendCooldownSeconds: parseInt(process.env.PHONE_OTP_RESEND_SECONDS) || 60
+});
+
+// Codes are keyed to the user and phone so a leaked hash is useless elsewhere
+function hashCode(userId, phone, code) {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'helpmate')
+    .update(`${userId}:${phone}:${code}`)
+    .digest('hex');
+}
+
+class PhoneVerificationService {
+  /**
+   * Whether OTPs can be issued right now. Codes live only in Redis.
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return redisClient.isOpen;
+  }
+
+  /**
+   * Generates a code for the user's phone, stores its hash and sends it by SMS.
+   * @param {string} userId
+   * @param {string} phone The E.164 phone number to verify.
+   * @returns {Promise<{sent: boolean, retryAfter?: number, expiresIn?: number}>}
+   */
+  async issueCode(userId, phone) {
+    const { ttlSeconds, resendCooldownSeconds } = getConfig();
+    const cooldownKey = `${COOLDOWN_KEY_PREFIX}${userId}`;
+
+    // Only one code per cooldown window
+    const cooldownSet = await redisClient.set(cooldownKey, '1', {
+      expiration: { type: 'EX', value: resendCooldownSeconds },
+      condition: 'NX'
+    });
+
+    if (!cooldownSet) {
+      return { sent: false, retryAfter: await redisClient.ttl(cooldownKey) };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const key = `${OTP_KEY_PREFIX}${userId}`;
+
+    await redisClient.multi()
+      .del(key)
+      .hSet(key, {
+        codeHash: hashCode(userId, phone, code),
+        phone,
+        attempts: 0
+      })
+      .expire(key, ttlSeconds)
+      .exec();
+
+    await SmsService.sendVerificationCode(phone, code, Math.ceil(ttlSeconds / 60));
+
+    return { sent: true, expiresIn: ttlSeconds };
+  }
+
+  /**
+   * Checks a code against the stored hash. Codes are single-use and are
+   * discarded after too many wrong attempts.
+   * @param {string} userId
+   * @param {string} phone The user's current E.164 phone number.
+   * @param {string} code
+   * @returns {Promise<'verified'|'invalid'|'expired'|'too_many_attempts'>}
+   */
+  async verifyCode(userId, phone, code) {
+    const { maxAttempts } = getConfig();
+    const key = `${OTP_KEY_PREFIX}${userId}`;
+    const stored = await redisClient.hGetAll(key);
+
+    // A code issued for a number the user has since changed is no longer valid
+    if (!stored || !stored.codeHash || stored.phone !== phone) {
+      return 'expired';
+    }
+
+    const attempts = await redisClient.hIncrBy(key, 'attempts', 1);
+    if (attempts > maxAttempts) {
+      await redisClient.del(key);
+      return 'too_many_attempts';
+    }
+
+    const expected = Buffer.from(stored.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(userId, phone, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return 'invalid';
+    }
+
+    await redisClient.del(key);
+    return 'verified';
+  }
+}
+
+module.exports = new PhoneVerificationService();
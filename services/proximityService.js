@@ -1,9 +1,17 @@
-const redisClient = require('../utils/redisClient');
+const { redisClient } = require('../utils/redisClient');
 const User = require('../models/User');
+const Request = require('../models/Request');
 
 // Define the size of our grid cells in degrees. 1 degree is ~111km.
 // 0.01 degrees is ~1.11km, which is a good starting point for cell size.
 const CELL_SIZE_DEGREES = 0.01;
+const KM_PER_DEGREE = 111.32;
+
+// Radii that would need more grid cells than this are searched in MongoDB
+const MAX_GRID_CELLS = 225;
+
+// Fields needed for notifications, audience filters and matching
+const CANDIDATE_FIELDS = '_id deviceTokens settings age gender location skills offers stats lastSeen';
 
 // Helper to calculate Haversine distance
 function getDistanceInKm(lat1, lon1, lat2, lon2) {
@@ -18,7 +26,29 @@ function getDistanceInKm(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+// Query MongoDB directly for users around a point
+function findNearbyUsersInDb(latitude, longitude, radiusKm) {
+  return User.find({
+    location: { $near: { $geometry: { type: 'Point', coordinates: [longitude, latitude] }, $maxDistance: radiusKm * 1000 } },
+    isActive: true,
+    deletionScheduledFor: null,
+    'settings.locationSharing': true
+  }).select(CANDIDATE_FIELDS);
+}
+
 class ProximityService {
+  /**
+   * Calculates the great-circle distance between two points.
+   * @param {number} lat1
+   * @param {number} lon1
+   * @param {number} lat2
+   * @param {number} lon2
+   * @returns {number} Distance in km.
+   */
+  getDistanceInKm(lat1, lon1, lat2, lon2) {
+    return getDistanceInKm(lat1, lon1, lat2, lon2);
+  }
+
   /**
    * Calculates the grid cell ID for a given set of coordinates.
    * @param {number} latitude
@@ -31,6 +61,24 @@ class ProximityService {
     return `cell:${cellX}:${cellY}`;
   }
 
+  /**
+   * Works out how many grid cells a search must cover in each direction from
+   * the origin cell to reach `radiusKm`. Cells narrow towards the poles, so
+   * more of them are needed east and west at high latitudes.
+   * @param {number} latitude
+   * @param {number} radiusKm
+   * @returns {{spanX: number, spanY: number}}
+   */
+  getCellSpan(latitude, radiusKm) {
+    const cellHeightKm = CELL_SIZE_DEGREES * KM_PER_DEGREE;
+    const cellWidthKm = cellHeightKm * Math.max(Math.cos(latitude * (Math.PI / 180)), 0.01);
+
+    return {
+      spanX: Math.max(1, Math.ceil(radiusKm / cellWidthKm)),
+      spanY: Math.max(1, Math.ceil(radiusKm / cellHeightKm))
+    };
+  }
+
   /**
    * Updates a user's location in the Redis grid.
    * @param {string} userId
@@ -67,6 +115,30 @@ class ProximityService {
     }
   }
 
+  /**
+   * Removes a user from the Redis grid, e.g. when their account is deleted.
+   * @param {string} userId
+   */
+  async removeUser(userId) {
+    if (!redisClient.isOpen) return;
+
+    const userKey = `user:${userId}`;
+
+    try {
+      const cellId = await redisClient.get(userKey);
+
+      const multi = redisClient.multi();
+      if (cellId) {
+        multi.hDel(cellId, userId.toString());
+      }
+      multi.del(userKey);
+
+      await multi.exec();
+    } catch (error) {
+      console.error('Error removing user location from Redis:', error);
+    }
+  }
+
   /**
    * Finds nearby users using the Redis grid system.
    * @param {number} latitude The latitude of the search origin.
@@ -81,24 +153,35 @@ class ProximityService {
       return User.findNearby([longitude, latitude], radiusKm);
     }
 
+    const { spanX, spanY } = this.getCellSpan(latitude, radiusKm);
+
+    // Wide searches, like escalated requests, would touch too many cells
+    if ((2 * spanX + 1) * (2 * spanY + 1) > MAX_GRID_CELLS) {
+      return findNearbyUsersInDb(latitude, longitude, radiusKm);
+    }
+
     const originCellX = Math.floor(longitude / CELL_SIZE_DEGREES);
     const originCellY = Math.floor(latitude / CELL_SIZE_DEGREES);
     const nearbyUserIds = new Set();
 
     try {
-      // Search the 3x3 grid of cells around the origin
-      for (let x = originCellX - 1; x <= originCellX + 1; x++) {
-        for (let y = originCellY - 1; y <= originCellY + 1; y++) {
-          const cellId = `cell:${x}:${y}`;
-          const usersInCell = await redisClient.hGetAll(cellId);
-
-          for (const userId in usersInCell) {
-            const [userLat, userLon] = usersInCell[userId].split(',').map(Number);
-            const distance = getDistanceInKm(latitude, longitude, userLat, userLon);
-
-            if (distance <= radiusKm) {
-              nearbyUserIds.add(userId);
-            }
+      // Search every cell the radius can reach around the origin
+      const cellIds = [];
+      for (let x = originCellX - spanX; x <= originCellX + spanX; x++) {
+        for (let y = originCellY - spanY; y <= originCellY + spanY; y++) {
+          cellIds.push(`cell:${x}:${y}`);
+        }
+      }
+
+      const cells = await Promise.all(cellIds.map(cellId => redisClient.hGetAll(cellId)));
+
+      for (const usersInCell of cells) {
+        for (const userId in usersInCell) {
+          const [userLat, userLon] = usersInCell[userId].split(',').map(Number);
+          const distance = getDistanceInKm(latitude, longitude, userLat, userLon);
+
+          if (distance <= radiusKm) {
+            nearbyUserIds.add(userId);
           }
         }
       }
@@ -111,21 +194,67 @@ class ProximityService {
       const users = await User.find({
         _id: { $in: Array.from(nearbyUserIds) },
         isActive: true,
+        deletionScheduledFor: null,
         'settings.locationSharing': true
-      }).select('_id deviceTokens settings'); // Select only what's needed for notifications
+      }).select(CANDIDATE_FIELDS);
 
       return users;
     } catch (error) {
       console.error('Error finding nearby users in Redis:', error);
       // Fallback to DB on error
       console.warn('Redis error occurred. Falling back to database query for nearby users.');
-      return User.find({
-        location: { $near: { $geometry: { type: 'Point', coordinates: [longitude, latitude] }, $maxDistance: radiusKm * 1000 } },
-        isActive: true,
-        'settings.locationSharing': true
-      }).select('_id deviceTokens settings');
+      return findNearbyUsersInDb(latitude, longitude, radiusKm);
     }
   }
+
+  /**
+   * Finds every nearby user a request may be delivered to: not the requester
+   * or anyone who declined it, inside its audience filters and, when `skillMatch` is "require", with
+   * matching skills. Not ordered or capped.
+   * @param {object} request The request document.
+   * @param {number} [radiusKm] Search radius, defaults to the request's radius.
+   * @returns {Promise<Array<object>>} Users, each with `distanceKm` and `skillMatch` properties.
+   */
+  async findCandidates(request, radiusKm = request.radius) {
+    const [longitude, latitude] = request.location.coordinates;
+    const requesterId = (request.requester._id || request.requester).toString();
+    const isSkillTargeted = request.isSkillTargeted();
+
+    const [nearbyUsers, declinedUserIds] = await Promise.all([
+      this.findNearbyUsers(latitude, longitude, radiusKm),
+      Request.getDeclinedUserIds(request._id)
+    ]);
+
+    return nearbyUsers
+      .filter(user => user._id.toString() !== requesterId && !declinedUserIds.has(user._id.toString()))
+      .filter(user => request.matchesAudience(user))
+      .map(user => {
+        const [userLon, userLat] = (user.location && user.location.coordinates) || [longitude, latitude];
+        user.distanceKm = getDistanceInKm(latitude, longitude, userLat, userLon);
+        user.skillMatch = isSkillTargeted && request.matchesSkills(user);
+        return user;
+      })
+      .filter(user => !isSkillTargeted || request.skillMatch !== 'require' || user.skillMatch);
+  }
+
+  /**
+   * Finds the users a request should be delivered to: its candidates, capped
+   * at `filters.maxRecipients` closest first. Helpers whose skills match the
+   * request's category or tags come first.
+   * @param {object} request The request document.
+   * @param {number} [radiusKm] Search radius, defaults to the request's radius.
+   * @returns {Promise<Array<object>>} Eligible users, each with a `distanceKm` property.
+   */
+  async findAudience(request, radiusKm = request.radius) {
+    const candidates = await this.findCandidates(request, radiusKm);
+
+    const recipients = candidates.sort((a, b) =>
+      (b.skillMatch - a.skillMatch) || (a.distanceKm - b.distanceKm)
+    );
+
+    const maxRecipients = (request.filters && request.filters.maxRecipients) || recipients.length;
+    return recipients.slice(0, maxRecipients);
+  }
 }
 
 module.exports = new ProximityService();
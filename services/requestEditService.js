@@ -0,0 +1,103 @@
+const ProximityService = require('./proximityService');
+
+// Fields a requester can edit, in the order changes are reported
+const EDITABLE_FIELDS = ['title', 'description', 'address', 'coordinates', 'radius', 'maxAcceptors', 'expiresAt'];
+
+// Acceptance states that mean someone is counting on the request as posted
+const COMMITTED_STATUSES = ['pending', 'confirmed', 'completed'];
+
+const getConfig = () => ({
+  // How far the location may move once someone has offered to help
+  maxMoveKm: parseFloat(process.env.REQUEST_EDIT_MAX_MOVE_KM) || 1,
+  // Requests cannot run longer than this after they start
+  maxLifetimeDays: parseInt(process.env.REQUEST_MAX_LIFETIME_DAYS) || 7,
+  maxRevisions: parseInt(process.env.REQUEST_MAX_REVISIONS) || 50
+});
+
+// Current value of an editable field, in the shape edits are compared in
+const readField = (request, field) => {
+  if (field === 'address') return request.location.address;
+  if (field === 'coordinates') return [...request.location.coordinates];
+  return request[field];
+};
+
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((value, index) => value === b[index]);
+  return a === b;
+};
+
+class RequestEditService {
+  /**
+   * Checks an edit against the request's current state and applies it to the
+   * document, recording a revision. The caller saves the request.
+   * @param {object} request
+   * @param {object} updates Values for any of the editable fields.
+   * @param {string} editorId
+   * @returns {{changes?: Array<{field: string, from: *, to: *}>, error?: string}}
+   */
+  applyEdit(request, updates, editorId) {
+    const { maxMoveKm, maxLifetimeDays, maxRevisions } = getConfig();
+    const hasCommitments = request.acceptedBy.some(acceptance => COMMITTED_STATUSES.includes(acceptance.status));
+
+    const changes = EDITABLE_FIELDS
+      .filter(field => updates[field] !== undefined && !isSameValue(readField(request, field), updates[field]))
+      .map(field => ({ field, from: readField(request, field), to: updates[field] }));
+
+    for (const { field, from, to } of changes) {
+      if (field === 'maxAcceptors' && to < request.acceptedCount) {
+        return { error: `Max acceptors cannot be lower than the ${request.acceptedCount} confirmed helpers` };
+      }
+
+      if (field === 'expiresAt') {
+        const startsAt = request.startsAt || request.createdAt;
+
+        if (to <= new Date()) {
+          return { error: 'Expiry time must be in the future' };
+        }
+        if (to > new Date(startsAt.getTime() + maxLifetimeDays * 24 * 60 * 60 * 1000)) {
+          return { error: `Requests cannot stay open more than ${maxLifetimeDays} days after they start` };
+        }
+      }
+
+      if (!hasCommitments) continue;
+
+      // Once someone has offered, the request can be clarified but not
+      // turned into a different one under them
+      if (field === 'radius' && to < from) {
+        return { error: 'Radius cannot be reduced after someone has offered to help' };
+      }
+
+      if (field === 'coordinates') {
+        const movedKm = ProximityService.getDistanceInKm(from[1], from[0], to[1], to[0]);
+
+        if (movedKm > maxMoveKm) {
+          return { error: `Location cannot move more than ${maxMoveKm} km after someone has offered to help` };
+        }
+      }
+    }
+
+    if (!changes.length) return { changes };
+
+    changes.forEach(({ field, to }) => {
+      if (field === 'address') request.location.address = to;
+      else if (field === 'coordinates') request.location.coordinates = to;
+      else request[field] = to;
+    });
+
+    if (changes.some(change => change.field === 'expiresAt')) {
+      request.expiryReminderSentAt = undefined;
+    }
+
+    request.revisions.push({ editedBy: editorId, editedAt: new Date(), changes });
+
+    // Keep the history bounded; the oldest revisions go first
+    if (request.revisions.length > maxRevisions) {
+      request.revisions.splice(0, request.revisions.length - maxRevisions);
+    }
+
+    return { changes };
+  }
+}
+
+module.exports = new RequestEditService();
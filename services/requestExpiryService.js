@@ -0,0 +1,140 @@
+const Request = require('../models/Request');
+const Chat = require('../models/Chat');
+const NotificationService = require('../utils/notificationService');
+
+const getConfig = () => ({
+  reminderMinutes: parseInt(process.env.REQUEST_EXPIRY_REMINDER_MINUTES) || 30,
+  maxExtensions: parseInt(process.env.REQUEST_MAX_EXTENSIONS) || 3
+});
+
+class RequestExpiryService {
+  /**
+   * Expires every open request whose expiry time has passed, closes its
+   * chats and tells everyone involved.
+   * @param {object} io The Socket.io server.
+   * @returns {Promise<number>} The number of expired requests.
+   */
+  async expireDueRequests(io) {
+    const due = await Request.find({
+      status: 'active',
+      expiresAt: { $lte: new Date() }
+    }).select('_id');
+
+    let expired = 0;
+    for (const { _id } of due) {
+      try {
+        if (await this.expire(_id, io)) expired++;
+      } catch (error) {
+        console.error(`Error expiring request ${_id}:`, error);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Expires a single request if it is still active and past its expiry time.
+   * @param {string} requestId
+   * @param {object} io
+   * @returns {Promise<boolean>} Whether this call expired the request.
+   */
+  async expire(requestId, io) {
+    // Claim the request so a concurrent run or an extension cannot race us
+    const request = await Request.findOneAndUpdate(
+      { _id: requestId, status: 'active', expiresAt: { $lte: new Date() } },
+      { status: 'expired', $unset: { 'escalation.nextAt': 1 } },
+      { new: true }
+    );
+    if (!request) return false;
+
+    await Chat.updateMany({ request: request._id }, { isActive: false });
+
+    NotificationService.notifyRequestExpired(request);
+
+    if (io) {
+      io.emit('requestStatusUpdate', {
+        requestId: request._id,
+        status: request.status,
+        acceptedCount: request.acceptedCount
+      });
+      io.in(`request-${request._id}`).socketsLeave(`request-${request._id}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Reminds requesters that their request is about to expire, once per
+   * expiry time.
+   * @param {object} io
+   * @returns {Promise<number>} The number of reminders sent.
+   */
+  async sendExpiryReminders(io) {
+    const { reminderMinutes } = getConfig();
+    const now = new Date();
+
+    const due = await Request.find({
+      status: 'active',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + reminderMinutes * 60 * 1000) },
+      expiryReminderSentAt: null
+    }).select('_id');
+
+    let sent = 0;
+    for (const { _id } of due) {
+      const request = await Request.findOneAndUpdate(
+        { _id, expiryReminderSentAt: null },
+        { expiryReminderSentAt: new Date() },
+        { new: true }
+      );
+      if (!request) continue;
+
+      NotificationService.notifyRequestExpiringSoon(request);
+
+      if (io) {
+        io.to(request.requester.toString()).emit('requestExpiringSoon', {
+          requestId: request._id,
+          expiresAt: request.expiresAt
+        });
+      }
+
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Pushes a request's expiry time back.
+   * @param {object} request
+   * @param {number} hours
+   * @returns {Promise<object|null>} The updated request, or null when it
+   * changed meanwhile or has used up its extensions.
+   */
+  async extend(request, hours) {
+    const { maxExtensions } = getConfig();
+    const base = Math.max(request.expiresAt.getTime(), Date.now());
+
+    // Only extend while the request is still open and nobody else has
+    return Request.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: { $in: ['active', 'accepted'] },
+        expiresAt: request.expiresAt,
+        // Written as $not so requests created before this field still match
+        extensionCount: { $not: { $gte: maxExtensions } }
+      },
+      {
+        expiresAt: new Date(base + hours * 60 * 60 * 1000),
+        expiryReminderSentAt: null,
+        $inc: { extensionCount: 1 }
+      },
+      { new: true }
+    );
+  }
+
+  getMaxExtensions() {
+    return getConfig().maxExtensions;
+  }
+}
+
+module.exports = new RequestExpiryService();
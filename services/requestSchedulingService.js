@@ -0,0 +1,306 @@
+const Request = require('../models/Request');
+const RequestSeries = require('../models/RequestSeries');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const MatchingService = require('./matchingService');
+const EscalationService = require('./escalationService');
+const NotificationService = require('../utils/notificationService');
+
+// Template fields a series edit may change; they also apply to occurrences
+// that have not been broadcast yet
+const EDITABLE_TEMPLATE_FIELDS = [
+  'title', 'description', 'radius', 'maxAcceptors', 'filters', 'attachments', 'category', 'tags', 'skillMatch'
+];
+
+const getConfig = () => ({
+  leadMinutes: parseInt(process.env.SCHEDULED_REQUEST_LEAD_MINUTES) || 120,
+  // How far ahead series occurrences are created so requesters can see them
+  materializeAheadHours: parseInt(process.env.SERIES_MATERIALIZE_AHEAD_HOURS) || 24
+});
+
+class RequestSchedulingService {
+  /**
+   * Works out when nearby users should hear about a request starting at
+   * `startsAt`. Never earlier than now.
+   * @param {Date} startsAt
+   * @param {number} [leadMinutes]
+   * @returns {Date}
+   */
+  getBroadcastAt(startsAt, leadMinutes) {
+    const lead = leadMinutes !== undefined && leadMinutes !== null ? leadMinutes : getConfig().leadMinutes;
+    return new Date(Math.max(startsAt.getTime() - lead * 60 * 1000, Date.now()));
+  }
+
+  /**
+   * Creates a request, either live right away or scheduled for a later
+   * broadcast when it starts in the future. Callers that cannot publish the
+   * request themselves pass `alwaysSchedule` so `publishDueRequests` does it.
+   * @param {object} data Request fields, optionally including startsAt.
+   * @param {number} [leadMinutes]
+   * @param {{alwaysSchedule?: boolean}} [options]
+   * @returns {Promise<object>}
+   */
+  async createRequest(data, leadMinutes, { alwaysSchedule = false } = {}) {
+    const fields = { ...data };
+
+    if (data.startsAt) {
+      const broadcastAt = this.getBroadcastAt(data.startsAt, leadMinutes);
+
+      if (alwaysSchedule || broadcastAt > new Date()) {
+        fields.status = 'scheduled';
+        fields.broadcastAt = broadcastAt;
+      }
+    }
+
+    if (fields.status !== 'scheduled') {
+      fields.publishedAt = new Date();
+    }
+
+    const request = await Request.create(fields);
+
+    // Update user stats
+    await User.findByIdAndUpdate(data.requester, {
+      $inc: { 'stats.requestsSent': 1 }
+    });
+
+    return request;
+  }
+
+  /**
+   * Starts matching a live request with nearby helpers and starts its
+   * escalation timer.
+   * @param {object} request
+   * @param {object} io
+   * @param {object} [requester]
+   */
+  async publish(request, io, requester = null) {
+    // Notify the best-ranked nearby helpers first, in waves
+    await MatchingService.start(request, io, requester);
+
+    // Widen the search over time if nobody steps up
+    await EscalationService.schedule(request);
+  }
+
+  /**
+   * Publishes every scheduled request whose broadcast time has come.
+   * @param {object} io
+   * @returns {Promise<number>} The number of requests published.
+   */
+  async publishDueRequests(io) {
+    const due = await Request.find({
+      status: 'scheduled',
+      broadcastAt: { $lte: new Date() }
+    }).select('_id');
+
+    let published = 0;
+    for (const { _id } of due) {
+      try {
+        // Claim the request so it is only broadcast once
+        const request = await Request.findOneAndUpdate(
+          { _id, status: 'scheduled' },
+          { status: 'active', publishedAt: new Date(), $unset: { broadcastAt: 1 } },
+          { new: true }
+        );
+        if (!request) continue;
+
+        await this.publish(request, io);
+
+        if (io) {
+          io.to(request.requester._id.toString()).emit('requestPublished', { requestId: request._id });
+        }
+
+        published++;
+      } catch (error) {
+        console.error(`Error publishing scheduled request ${_id}:`, error);
+      }
+    }
+
+    return published;
+  }
+
+  /**
+   * Creates a recurring series and its first occurrence.
+   * @param {object} template Request fields shared by every occurrence.
+   * @param {object} options
+   * @param {string} options.requester
+   * @param {Date} options.startsAt Start of the first occurrence.
+   * @param {object} options.recurrence
+   * @param {number} [options.leadMinutes]
+   * @returns {Promise<{series: object, request: object}>}
+   */
+  async createSeries(template, { requester, startsAt, recurrence, leadMinutes }) {
+    const series = await RequestSeries.create({
+      requester,
+      template,
+      startsAt,
+      recurrence,
+      leadMinutes,
+      nextOccurrenceAt: startsAt
+    });
+
+    // The caller publishes the first occurrence itself if it is due now
+    const request = await this.materializeNext(series, { alwaysSchedule: false });
+
+    return { series, request };
+  }
+
+  /**
+   * Turns the series' next occurrence into a request and moves the series on.
+   * Occurrences are created as scheduled, even when already due, so the
+   * scheduler publishes them.
+   * @param {object} series
+   * @param {{alwaysSchedule?: boolean}} [options]
+   * @returns {Promise<object|null>} The new request, or null if another run
+   * got there first or the series has ended.
+   */
+  async materializeNext(series, { alwaysSchedule = true } = {}) {
+    const startsAt = series.nextOccurrenceAt;
+    if (series.status !== 'active' || !startsAt) return null;
+
+    const nextOccurrenceAt = series.getOccurrenceAfter(startsAt, series.occurrenceCount + 1);
+
+    // Claim this occurrence so concurrent runs cannot create it twice
+    const claimed = await RequestSeries.findOneAndUpdate(
+      { _id: series._id, status: 'active', nextOccurrenceAt: startsAt },
+      {
+        nextOccurrenceAt,
+        status: nextOccurrenceAt ? 'active' : 'ended',
+        $inc: { occurrenceCount: 1 }
+      },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    Object.assign(series, {
+      nextOccurrenceAt: claimed.nextOccurrenceAt,
+      status: claimed.status,
+      occurrenceCount: claimed.occurrenceCount
+    });
+
+    return this.createRequest({
+      ...series.toObject().template,
+      requester: series.requester,
+      series: series._id,
+      startsAt
+    }, series.leadMinutes, { alwaysSchedule });
+  }
+
+  /**
+   * Creates requests for every series occurrence inside the look-ahead window.
+   * @returns {Promise<number>} The number of requests created.
+   */
+  async materializeDueOccurrences() {
+    const horizon = new Date(Date.now() + getConfig().materializeAheadHours * 60 * 60 * 1000);
+
+    const due = await RequestSeries.find({
+      status: 'active',
+      nextOccurrenceAt: { $lte: horizon }
+    });
+
+    let created = 0;
+    for (const series of due) {
+      try {
+        // Short intervals can put several occurrences inside the window
+        while (series.status === 'active' && series.nextOccurrenceAt && series.nextOccurrenceAt <= horizon) {
+          if (!await this.materializeNext(series)) break;
+          created++;
+        }
+      } catch (error) {
+        console.error(`Error creating occurrences for series ${series._id}:`, error);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Applies template edits to a series and to its occurrences that have not
+   * been broadcast yet.
+   * @param {object} series
+   * @param {object} updates
+   * @returns {Promise<number>} The number of occurrences updated.
+   */
+  async updateSeries(series, updates) {
+    const requestUpdates = {};
+
+    EDITABLE_TEMPLATE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        series.template[field] = updates[field];
+        requestUpdates[field] = updates[field];
+      }
+    });
+
+    if (updates.leadMinutes !== undefined) {
+      series.leadMinutes = updates.leadMinutes;
+    }
+
+    if (updates.until !== undefined) {
+      series.recurrence.until = updates.until;
+
+      // Stop before the next occurrence if it now falls past the end date
+      if (updates.until && series.nextOccurrenceAt && series.nextOccurrenceAt > updates.until) {
+        series.nextOccurrenceAt = undefined;
+        series.status = 'ended';
+      }
+    }
+
+    await series.save();
+
+    const pending = await Request.find({ series: series._id, status: 'scheduled' });
+
+    for (const request of pending) {
+      Object.assign(request, requestUpdates);
+
+      if (updates.leadMinutes !== undefined) {
+        request.broadcastAt = this.getBroadcastAt(request.startsAt, updates.leadMinutes);
+      }
+
+      await request.save();
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Cancels a series and every occurrence that has not started yet, closing
+   * their chats and telling anyone who offered to help.
+   * @param {object} series
+   * @param {object} io
+   * @returns {Promise<number>} The number of occurrences cancelled.
+   */
+  async cancelSeries(series, io) {
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    series.nextOccurrenceAt = undefined;
+    await series.save();
+
+    const upcoming = await Request.find({
+      series: series._id,
+      status: { $in: ['scheduled', 'active', 'accepted'] },
+      startsAt: { $gt: new Date() }
+    });
+
+    const requester = await User.findById(series.requester).select('name');
+
+    for (const request of upcoming) {
+      request.status = 'cancelled';
+      await request.save();
+
+      await Chat.updateMany({ request: request._id }, { isActive: false });
+
+      NotificationService.notifyRequestStatusChange(request, 'cancelled', requester);
+
+      if (io) {
+        io.emit('requestStatusUpdate', {
+          requestId: request._id,
+          status: 'cancelled',
+          acceptedCount: request.acceptedCount
+        });
+      }
+    }
+
+    return upcoming.length;
+  }
+}
+
+module.exports = new RequestSchedulingService();
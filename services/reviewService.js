@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const NotificationService = require('../utils/notificationService');
+
+// User.stats fields holding the average and count for each reviewee role
+const RATING_FIELDS = {
+  helper: { average: 'helpfulRating', count: 'totalRatings' },
+  requester: { average: 'requesterRating', count: 'totalRequesterRatings' }
+};
+
+const getWindowDays = () => parseInt(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+class ReviewService {
+  /**
+   * When the review window for a completed request closes.
+   * @param {object} request
+   * @returns {Date|null}
+   */
+  getWindowClosesAt(request) {
+    if (!request.completedAt) return null;
+    return new Date(request.completedAt.getTime() + getWindowDays() * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Works out the role the reviewee played on a request, if the reviewer may
+   * review them at all: the requester reviews helpers who completed the
+   * request, and those helpers review the requester.
+   * @param {object} request
+   * @param {string} reviewerId
+   * @param {string} revieweeId
+   * @returns {string|null} 'helper', 'requester' or null.
+   */
+  getRevieweeRole(request, reviewerId, revieweeId) {
+    const requesterId = (request.requester._id || request.requester).toString();
+    const completedHelper = (userId) => {
+      const acceptance = request.getAcceptance(userId);
+      return Boolean(acceptance) && acceptance.status === 'completed';
+    };
+
+    if (reviewerId === revieweeId) return null;
+    if (reviewerId === requesterId && completedHelper(revieweeId)) return 'helper';
+    if (revieweeId === requesterId && completedHelper(reviewerId)) return 'requester';
+    return null;
+  }
+
+  /**
+   * Records a review and folds it into the reviewee's rating.
+   * @param {object} request
+   * @param {object} reviewer
+   * @param {string} revieweeId
+   * @param {{rating: number, comment?: string}} review
+   * @returns {Promise<{review?: object, error?: string}>}
+   */
+  async createReview(request, reviewer, revieweeId, { rating, comment }) {
+    if (request.status !== 'completed') {
+      return { error: 'Reviews can only be left once the request is completed' };
+    }
+
+    if (this.getWindowClosesAt(request) < new Date()) {
+      return { error: `Reviews must be left within ${getWindowDays()} days of completion` };
+    }
+
+    const role = this.getRevieweeRole(request, reviewer._id.toString(), revieweeId);
+    if (!role) {
+      return { error: 'You can only review people you completed this request with' };
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        request: request._id,
+        reviewer: reviewer._id,
+        reviewee: revieweeId,
+        role,
+        rating,
+        comment
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { error: 'You have already reviewed this person for this request' };
+      }
+      throw error;
+    }
+
+    await this.addRating(revieweeId, role, rating);
+    NotificationService.notifyNewReview(request, reviewer, revieweeId, rating);
+
+    return { review };
+  }
+
+  /**
+   * Adds one rating to a user's running average in a single atomic update.
+   * @param {string} userId
+   * @param {string} role
+   * @param {number} rating
+   */
+  async addRating(userId, role, rating) {
+    const { average, count } = RATING_FIELDS[role];
+    const averagePath = `$stats.${average}`;
+    const countPath = `$stats.${count}`;
+
+    await User.updateOne({ _id: userId }, [{
+      $set: {
+        [`stats.${average}`]: {
+          $divide: [
+            { $add: [{ $multiply: [{ $ifNull: [averagePath, 0] }, { $ifNull: [countPath, 0] }] }, rating] },
+            { $add: [{ $ifNull: [countPath, 0] }, 1] }
+          ]
+        },
+        [`stats.${count}`]: { $add: [{ $ifNull: [countPath, 0] }, 1] }
+      }
+    }]);
+  }
+
+  /**
+   * Recomputes a user's ratings from their reviews, for when reviews are
+   * removed or the running averages drift.
+   * @param {string} userId
+   */
+  async recalculateRatings(userId) {
+    const totals = await Review.aggregate([
+      { $match: { reviewee: new mongoose.Types.ObjectId(userId.toString()) } },
+      { $group: { _id: '$role', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    const update = {};
+    Object.entries(RATING_FIELDS).forEach(([role, { average, count }]) => {
+      const total = totals.find(entry => entry._id === role);
+      update[`stats.${average}`] = total ? total.average : 0;
+      update[`stats.${count}`] = total ? total.count : 0;
+    });
+
+    await User.updateOne({ _id: userId }, { $set: update });
+  }
+}
+
+module.exports = new ReviewService();
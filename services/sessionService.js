@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { redisClient } = require('../utils/redisClient');
+const Session = require('../models/Session');
+
+const REVOKED_KEY_PREFIX = 'session:revoked:';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getRefreshTokenLifetimeMs() {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+}
+
+class SessionService {
+  /**
+   * Signs a short-lived access token bound to a session.
+   * @param {string} userId
+   * @param {string} sessionId
+   * @returns {string} The signed JWT.
+   */
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m'
+    });
+  }
+
+  /**
+   * Starts a new session for a user and issues its first token pair.
+   * @param {object} user The user document.
+   * @param {object} req The Express request, used for device metadata.
+   * @returns {Promise<{token: string, refreshToken: string, session: object}>}
+   */
+  async createSession(user, req) {
+    const secret = crypto.randomBytes(40).toString('hex');
+    const { device = {} } = req.body || {};
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      device: {
+        name: typeof device.name === 'string' ? device.name.slice(0, 100) : '',
+        platform: ['ios', 'android', 'web'].includes(device.platform) ? device.platform : 'unknown'
+      },
+      userAgent: (req.get('user-agent') || '').slice(0, 255),
+      ip: req.ip || '',
+      expiresAt: new Date(Date.now() + getRefreshTokenLifetimeMs())
+    });
+
+    return {
+      token: this.generateAccessToken(user._id, session._id),
+      refreshToken: `${session._id}.${secret}`,
+      session
+    };
+  }
+
+  /**
+   * Exchanges a refresh token for a new token pair, rotating the refresh token.
+   * Presenting an already rotated token revokes the whole session.
+   * @param {string} refreshToken
+   * @returns {Promise<object|null>} The new token pair, or null if the token is not usable.
+   */
+  async rotateRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    const session = await Session.findById(sessionId).select('+refreshTokenHash');
+    if (!session || !session.isActive) return null;
+
+    const newSecret = crypto.randomBytes(40).toString('hex');
+
+    // Only rotate if the presented token is still the current one, so two
+    // concurrent refreshes with the same token cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: hashToken(secret), revokedAt: null },
+      { refreshTokenHash: hashToken(newSecret), lastUsedAt: new Date() },
+      { new: true }
+    );
+
+    if (!rotated) {
+      console.warn(`Refresh token reuse detected for session ${session._id}, revoking it`);
+      await this.revokeSession(session._id, 'reuse_detected');
+      return null;
+    }
+
+    return {
+      token: this.generateAccessToken(rotated.user, rotated._id),
+      refreshToken: `${rotated._id}.${newSecret}`,
+      session: rotated
+    };
+  }
+
+  /**
+   * Revokes a single session and blocks its access tokens immediately.
+   * @param {string} sessionId
+   * @param {string} reason
+   */
+  async revokeSession(sessionId, reason = 'revoked') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+
+    if (session) {
+      await this.markRevoked(session);
+    }
+
+    return session;
+  }
+
+  /**
+   * Revokes every active session of a user, optionally keeping one.
+   * @param {string} userId
+   * @param {string} reason
+   * @param {string} [exceptSessionId] Session to leave untouched (usually the current one).
+   * @returns {Promise<number>} The number of revoked sessions.
+   */
+  async revokeAllForUser(userId, reason = 'revoked', exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(query);
+    if (!sessions.length) return 0;
+
+    await Session.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    await Promise.all(sessions.map(session => this.markRevoked(session)));
+
+    return sessions.length;
+  }
+
+  /**
+   * Checks whether the session behind an access token has been revoked.
+   * @param {string} sessionId
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(sessionId) {
+    if (redisClient.isOpen) {
+      try {
+        return (await redisClient.exists(`${REVOKED_KEY_PREFIX}${sessionId}`)) === 1;
+      } catch (error) {
+        console.error('Error checking session revocation in Redis:', error);
+      }
+    }
+
+    // Fallback to DB if Redis is unavailable
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !session || !session.isActive;
+  }
+
+  /**
+   * Lists a user's sessions that can still be refreshed.
+   * @param {string} userId
+   * @returns {Promise<Array<object>>}
+   */
+  listActiveSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  // Record the revocation in Redis for as long as any token of the session could be presented
+  async markRevoked(session) {
+    if (!redisClient.isOpen) return;
+
+    const ttlSeconds = Math.ceil((session.expiresAt.getTime() - Date.now()) / 1000);
+    if (ttlSeconds <= 0) return;
+
+    try {
+      await redisClient.set(`${REVOKED_KEY_PREFIX}${session._id}`, session.revokedReason || 'revoked', {
+        expiration: { type: 'EX', value: ttlSeconds }
+      });
+    } catch (error) {
+      console.error('Error storing session revocation in Redis:', error);
+    }
+  }
+}
+
+module.exports = new SessionService();
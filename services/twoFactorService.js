@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+const CHALLENGE_PURPOSE = '2fa_login';
+const RECOVERY_CODE_COUNT = 10;
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+class TwoFactorService {
+  /**
+   * Loads a user together with their 2FA secrets.
+   * @param {string} userId
+   * @returns {Promise<object|null>}
+   */
+  findUserWithSecrets(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Starts enrollment by storing a pending secret until the user proves
+   * their authenticator app produces valid codes.
+   * @param {object} user
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   */
+  async startEnrollment(user) {
+    const secret = totp.generateSecret();
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'HelpMate';
+
+    await User.findByIdAndUpdate(user._id, { 'twoFactor.pendingSecret': secret });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, issuer)
+    };
+  }
+
+  /**
+   * Enables 2FA once a code from the pending secret checks out.
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<Array<string>|null>} Fresh recovery codes, or null if the code is wrong.
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.findUserWithSecrets(userId);
+    const pendingSecret = user && user.twoFactor.pendingSecret;
+    if (!pendingSecret) return null;
+
+    const step = totp.verifyCode(pendingSecret, code);
+    if (step === null) return null;
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }));
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Checks a TOTP or unused recovery code for a user with 2FA enabled.
+   * Accepted codes are consumed and cannot be used again.
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<boolean>}
+   */
+  async verify(userId, code) {
+    if (!code) return false;
+
+    const user = await this.findUserWithSecrets(userId);
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    const normalizedCode = String(code).trim();
+
+    if (/^\d{6}$/.test(normalizedCode)) {
+      const step = totp.verifyCode(user.twoFactor.secret, normalizedCode);
+      if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) return false;
+
+      // Conditional update so two requests racing with the same code cannot both pass
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const hash = hashRecoveryCode(normalizedCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Replaces all recovery codes.
+   * @param {string} userId
+   * @returns {Promise<Array<string>>} The new recovery codes.
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = generateRecoveryCodes();
+
+    await User.findByIdAndUpdate(userId, {
+      'twoFactor.recoveryCodes': recoveryCodes.map(code => ({ hash: hashRecoveryCode(code) }))
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Turns 2FA off and discards its secrets.
+   * @param {string} userId
+   */
+  async disable(userId) {
+    await User.findByIdAndUpdate(userId, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.recoveryCodes': 1
+      }
+    });
+  }
+
+  /**
+   * Issues the short-lived token that stands in for a session between the
+   * password step and the 2FA step of login.
+   * @param {object} user
+   * @returns {string}
+   */
+  createChallengeToken(user) {
+    return jwt.sign({ id: user._id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+    });
+  }
+
+  /**
+   * Reads a challenge token.
+   * @param {string} token
+   * @returns {string|null} The user id, or null if the token is invalid or expired.
+   */
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
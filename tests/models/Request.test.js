@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Request = require('../../models/Request');
+
+const userId = new mongoose.Types.ObjectId().toString();
+const requestId = new mongoose.Types.ObjectId();
+
+const buildRequest = (acceptanceStatus) => new Request({
+  _id: requestId,
+  requester: new mongoose.Types.ObjectId(),
+  acceptedBy: [{ user: userId, status: acceptanceStatus }]
+});
+
+describe('Request.removeAcceptance', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only matches and pulls pending or confirmed offers', async () => {
+    const findOneAndUpdate = jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await Request.removeAcceptance(requestId, userId);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.acceptedBy.$elemMatch).toEqual({ user: userId, status: { $in: ['pending', 'confirmed'] } });
+    expect(update.$pull.acceptedBy).toEqual({ user: userId, status: { $in: ['pending', 'confirmed'] } });
+  });
+
+  it('returns null when the user has no open offer, e.g. after being rejected', async () => {
+    jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await Request.removeAcceptance(requestId, userId)).toBeNull();
+  });
+
+  it('reports whether a withdrawn offer freed a slot', async () => {
+    jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(buildRequest('confirmed'));
+    jest.spyOn(Request, 'syncAcceptanceStatus').mockResolvedValue(buildRequest('confirmed'));
+
+    const result = await Request.removeAcceptance(requestId, userId);
+
+    expect(result.freedSlot).toBe(true);
+    expect(result.acceptance.status).toBe('confirmed');
+  });
+});
+
+describe('Request.promoteFromWaitlist', () => {
+  const waitlisted = () => new Request({
+    _id: requestId,
+    requester: new mongoose.Types.ObjectId(),
+    waitlist: [{ user: userId }, { user: new mongoose.Types.ObjectId() }]
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves the waitlist alone once the request is past its expiry', async () => {
+    const findOneAndUpdate = jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(null);
+    const addAcceptance = jest.spyOn(Request, 'addAcceptance');
+
+    expect(await Request.promoteFromWaitlist(requestId)).toBeNull();
+
+    expect(findOneAndUpdate.mock.calls[0][0].expiresAt.$gt).toBeInstanceOf(Date);
+    expect(addAcceptance).not.toHaveBeenCalled();
+  });
+
+  it('puts the user back at the front if the request closes mid-promotion', async () => {
+    jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(waitlisted());
+    jest.spyOn(Request, 'addAcceptance').mockResolvedValue(null);
+    jest.spyOn(Request, 'exists').mockResolvedValue(null);
+    const updateOne = jest.spyOn(Request, 'updateOne').mockResolvedValue({});
+
+    expect(await Request.promoteFromWaitlist(requestId)).toBeNull();
+
+    const [, update] = updateOne.mock.calls[0];
+    expect(update.$push.waitlist.$position).toBe(0);
+    expect(update.$push.waitlist.$each[0].user.toString()).toBe(userId);
+  });
+
+  it('skips users who can no longer take the offer', async () => {
+    const promoted = waitlisted();
+    jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(waitlisted());
+    jest.spyOn(Request, 'addAcceptance').mockResolvedValueOnce(null).mockResolvedValueOnce(promoted);
+    jest.spyOn(Request, 'exists').mockResolvedValue({ _id: requestId });
+
+    const result = await Request.promoteFromWaitlist(requestId);
+
+    expect(result.request).toBe(promoted);
+    expect(Request.addAcceptance).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('Request reports', () => {
+  it('are left out of reads unless selected explicitly', () => {
+    const defaultQuery = Request.find();
+    defaultQuery._applyPaths();
+    expect(defaultQuery._fields.reports).toBe(0);
+
+    const moderatorQuery = Request.find().select('+reports');
+    moderatorQuery._applyPaths();
+    expect(moderatorQuery._fields.reports).toBeUndefined();
+  });
+});
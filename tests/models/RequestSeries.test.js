@@ -0,0 +1,48 @@
+const RequestSeries = require('../../models/RequestSeries');
+
+const buildSeries = (startsAt, recurrence) => new RequestSeries({ startsAt, recurrence });
+
+describe('RequestSeries.getOccurrenceAfter', () => {
+  it('steps daily series by the interval', () => {
+    const startsAt = new Date('2026-03-02T09:00:00Z');
+    const series = buildSeries(startsAt, { frequency: 'daily', interval: 2 });
+
+    expect(series.getOccurrenceAfter(startsAt, 1)).toEqual(new Date('2026-03-04T09:00:00Z'));
+  });
+
+  it('only picks listed weekdays in every interval-th week', () => {
+    // Monday 2 March 2026, repeating Mondays and Thursdays every other week
+    const startsAt = new Date('2026-03-02T09:00:00Z');
+    const series = buildSeries(startsAt, { frequency: 'weekly', interval: 2, daysOfWeek: [1, 4] });
+
+    const thursday = series.getOccurrenceAfter(startsAt, 1);
+    expect(thursday).toEqual(new Date('2026-03-05T09:00:00Z'));
+    expect(series.getOccurrenceAfter(thursday, 2)).toEqual(new Date('2026-03-16T09:00:00Z'));
+  });
+
+  it('clamps monthly series to the end of short months', () => {
+    const startsAt = new Date('2026-01-31T18:30:00Z');
+    const series = buildSeries(startsAt, { frequency: 'monthly' });
+
+    const february = series.getOccurrenceAfter(startsAt, 1);
+    expect(february).toEqual(new Date('2026-02-28T18:30:00Z'));
+    expect(series.getOccurrenceAfter(february, 2)).toEqual(new Date('2026-03-31T18:30:00Z'));
+  });
+
+  it('stops after the occurrence count is reached', () => {
+    const startsAt = new Date('2026-03-02T09:00:00Z');
+    const series = buildSeries(startsAt, { frequency: 'daily', count: 3 });
+
+    expect(series.getOccurrenceAfter(startsAt, 2)).not.toBeNull();
+    expect(series.getOccurrenceAfter(startsAt, 3)).toBeNull();
+  });
+
+  it('stops after the until date', () => {
+    const startsAt = new Date('2026-03-02T09:00:00Z');
+    const series = buildSeries(startsAt, { frequency: 'weekly', until: new Date('2026-03-10T00:00:00Z') });
+
+    const next = series.getOccurrenceAfter(startsAt, 1);
+    expect(next).toEqual(new Date('2026-03-09T09:00:00Z'));
+    expect(series.getOccurrenceAfter(next, 2)).toBeNull();
+  });
+});
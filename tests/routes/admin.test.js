@@ -0,0 +1,82 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/User');
+const Request = require('../../models/Request');
+const adminRoutes = require('../../routes/admin');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'admin-id', role: 'admin' };
+    next();
+  });
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    skip: async () => result,
+    populate: () => query
+  };
+  return query;
+};
+
+describe('GET /api/admin/users', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockReturnValue(chain([]));
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects query operators smuggled into the role filter', async () => {
+    const res = await request(buildApp()).get('/api/admin/users?role[$ne]=admin');
+
+    expect(res.status).toBe(400);
+    expect(User.find).not.toHaveBeenCalled();
+  });
+
+  it('rejects a search given as an array instead of crashing', async () => {
+    const res = await request(buildApp()).get('/api/admin/users?search=a&search=b');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rejects an isActive that is not a boolean', async () => {
+    const res = await request(buildApp()).get('/api/admin/users?isActive=maybe');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('filters by valid values', async () => {
+    const res = await request(buildApp()).get('/api/admin/users?role=moderator&isActive=false&search=ann');
+
+    expect(res.status).toBe(200);
+    const [filter] = User.find.mock.calls[0];
+    expect(filter.role).toBe('moderator');
+    expect(filter.isActive).toBe(false);
+    expect(filter.$or[0].name).toEqual(/ann/i);
+  });
+});
+
+describe('GET /api/admin/requests/reported', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects query operators in the status filter', async () => {
+    jest.spyOn(Request, 'find').mockReturnValue(chain([]));
+
+    const res = await request(buildApp()).get('/api/admin/requests/reported?status[$ne]=active');
+
+    expect(res.status).toBe(400);
+    expect(Request.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Request = require('../../models/Request');
+const User = require('../../models/User');
+const MetricsService = require('../../services/metricsService');
+const ReviewService = require('../../services/reviewService');
+const NotificationService = require('../../utils/notificationService');
+const requestRoutes = require('../../routes/requests');
+
+const requesterId = new mongoose.Types.ObjectId();
+const helperId = new mongoose.Types.ObjectId();
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: requesterId.toString(), _id: requesterId, name: 'Requester' };
+    next();
+  });
+  app.set('io', { emit: jest.fn() });
+  app.use('/api/requests', requestRoutes);
+  return app;
+};
+
+const buildRequest = (status, acceptanceStatus) => new Request({
+  requester: requesterId,
+  title: 'Help moving a sofa',
+  status,
+  acceptedBy: [{ user: helperId, status: acceptanceStatus }]
+});
+
+describe('PUT /api/requests/:id/status', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => ({ name: 'Requester' }) });
+    jest.spyOn(NotificationService, 'notifyRequestStatusChange').mockResolvedValue();
+    jest.spyOn(MetricsService, 'recordCompletions').mockResolvedValue();
+    jest.spyOn(ReviewService, 'createReview').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes an open request and its confirmed helpers once', async () => {
+    const open = buildRequest('accepted', 'confirmed');
+    const completed = buildRequest('completed', 'completed');
+    jest.spyOn(Request, 'findById').mockResolvedValue(open);
+    const findOneAndUpdate = jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(completed);
+
+    const res = await request(buildApp())
+      .put(`/api/requests/${open._id}/status`)
+      .send({ status: 'completed', rating: 5 });
+
+    expect(res.status).toBe(200);
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter.status).toEqual({ $in: ['active', 'accepted'] });
+    expect(update['acceptedBy.$[helper].status']).toBe('completed');
+    expect(options.arrayFilters).toEqual([{ 'helper.status': 'confirmed' }]);
+    expect(MetricsService.recordCompletions).toHaveBeenCalledWith(completed, [completed.acceptedBy[0].user]);
+    expect(ReviewService.createReview).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses to complete a request again, keeping the review window shut', async () => {
+    const done = buildRequest('completed', 'completed');
+    jest.spyOn(Request, 'findById').mockResolvedValue(done);
+    jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(buildApp())
+      .put(`/api/requests/${done._id}/status`)
+      .send({ status: 'completed', rating: 5 });
+
+    expect(res.status).toBe(400);
+    expect(MetricsService.recordCompletions).not.toHaveBeenCalled();
+    expect(ReviewService.createReview).not.toHaveBeenCalled();
+    expect(NotificationService.notifyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it('does not complete cancelled or expired requests', async () => {
+    const expired = buildRequest('expired', 'confirmed');
+    jest.spyOn(Request, 'findById').mockResolvedValue(expired);
+    const findOneAndUpdate = jest.spyOn(Request, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(buildApp())
+      .put(`/api/requests/${expired._id}/status`)
+      .send({ status: 'completed' });
+
+    expect(res.status).toBe(400);
+    expect(findOneAndUpdate.mock.calls[0][0].status.$in).not.toContain('expired');
+  });
+});
+
+describe('offering help on a request outside the audience filters', () => {
+  const buildHelperApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: helperId.toString(), _id: helperId, emailVerified: true, gender: 'male', age: 30 };
+      next();
+    });
+    app.set('io', { emit: jest.fn() });
+    app.use('/api/requests', requestRoutes);
+    return app;
+  };
+
+  const buildFilteredRequest = (status) => new Request({
+    requester: requesterId,
+    title: 'Help carrying groceries',
+    status,
+    filters: { genderFilter: 'female' }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Request, 'addAcceptance');
+    jest.spyOn(Request, 'joinWaitlist');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cannot accept it with just the request ID', async () => {
+    const filtered = buildFilteredRequest('active');
+    jest.spyOn(Request, 'findById').mockResolvedValue(filtered);
+
+    const res = await request(buildHelperApp()).post(`/api/requests/${filtered._id}/accept`).send({});
+
+    expect(res.status).toBe(404);
+    expect(Request.addAcceptance).not.toHaveBeenCalled();
+  });
+
+  it('cannot join its waitlist either', async () => {
+    const filtered = buildFilteredRequest('accepted');
+    jest.spyOn(Request, 'findById').mockResolvedValue(filtered);
+
+    const res = await request(buildHelperApp()).post(`/api/requests/${filtered._id}/waitlist`);
+
+    expect(res.status).toBe(404);
+    expect(Request.joinWaitlist).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Request = require('../../models/Request');
+const Chat = require('../../models/Chat');
+const RequestSeries = require('../../models/RequestSeries');
+const Review = require('../../models/Review');
+const Session = require('../../models/Session');
+const DataExport = require('../../models/DataExport');
+const SecurityEvent = require('../../models/SecurityEvent');
+const HelperEvent = require('../../models/HelperEvent');
+const ProximityService = require('../../services/proximityService');
+const SessionService = require('../../services/sessionService');
+const AcceptanceService = require('../../services/acceptanceService');
+const AccountDeletionService = require('../../services/accountDeletionService');
+const NotificationService = require('../../utils/notificationService');
+
+describe('AccountDeletionService.deleteAccount', () => {
+  const user = new User({ _id: new mongoose.Types.ObjectId(), name: 'Leaving User' });
+  let ownRequest;
+  let helpedRequest;
+
+  beforeEach(() => {
+    ownRequest = new Request({ requester: user._id, status: 'active', attachments: [] });
+    jest.spyOn(ownRequest, 'save').mockResolvedValue(ownRequest);
+    helpedRequest = new Request({
+      requester: new mongoose.Types.ObjectId(),
+      status: 'accepted',
+      acceptedBy: [{ user: user._id, status: 'confirmed' }]
+    });
+
+    jest.spyOn(Request, 'find').mockImplementation(async (filter) => (
+      filter.requester ? [ownRequest] : [helpedRequest]
+    ));
+    jest.spyOn(Request, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Request, 'deleteMany');
+    jest.spyOn(RequestSeries, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Review, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Review, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Chat, 'find').mockResolvedValue([]);
+    jest.spyOn(Session, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(DataExport, 'find').mockReturnValue({ select: async () => [] });
+    jest.spyOn(DataExport, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(SecurityEvent, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(HelperEvent, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(User, 'findByIdAndDelete').mockResolvedValue(null);
+    jest.spyOn(ProximityService, 'removeUser').mockResolvedValue();
+    jest.spyOn(SessionService, 'revokeAllForUser').mockResolvedValue();
+    jest.spyOn(NotificationService, 'notifyRequestStatusChange').mockResolvedValue();
+    jest.spyOn(AcceptanceService, 'withdraw').mockResolvedValue(helpedRequest);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps their requests as cancelled and anonymised instead of deleting them', async () => {
+    await AccountDeletionService.deleteAccount(user, null);
+
+    expect(Request.deleteMany).not.toHaveBeenCalled();
+    expect(ownRequest.status).toBe('cancelled');
+    expect(NotificationService.notifyRequestStatusChange).toHaveBeenCalledWith(ownRequest, 'cancelled', user);
+
+    const [filter, update] = Request.updateMany.mock.calls[0];
+    expect(filter).toEqual({ requester: user._id });
+    expect(update.$set).toEqual(expect.objectContaining({ attachments: [], revisions: [] }));
+  });
+
+  it('withdraws their open offers through the normal withdrawal path', async () => {
+    await AccountDeletionService.deleteAccount(user, null);
+
+    expect(AcceptanceService.withdraw).toHaveBeenCalledWith(helpedRequest, user, null);
+  });
+});
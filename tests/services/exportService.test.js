@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Request = require('../../models/Request');
+const Chat = require('../../models/Chat');
+const RequestSeries = require('../../models/RequestSeries');
+const Review = require('../../models/Review');
+const HelperEvent = require('../../models/HelperEvent');
+const DataExport = require('../../models/DataExport');
+const ExportService = require('../../services/exportService');
+
+// Stands in for a query chain ending in lean()
+const chain = (result = []) => {
+  const query = {
+    select: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    lean: async () => result
+  };
+  return query;
+};
+
+describe('ExportService.buildExport', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let createdQuery;
+
+  beforeEach(() => {
+    createdQuery = chain([]);
+
+    jest.spyOn(User, 'findById').mockReturnValue({ lean: async () => ({ _id: userId, name: 'Exporting User' }) });
+    jest.spyOn(Request, 'find').mockImplementation((filter) => (filter.requester === userId ? createdQuery : chain()));
+    jest.spyOn(Chat, 'find').mockReturnValue(chain());
+    jest.spyOn(RequestSeries, 'find').mockReturnValue(chain());
+    jest.spyOn(Review, 'find').mockReturnValue(chain());
+    jest.spyOn(HelperEvent, 'find').mockReturnValue(chain());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('leaves reports and matching internals out of the user\'s own requests', async () => {
+    await ExportService.buildExport(userId);
+
+    expect(createdQuery.select).toHaveBeenCalledTimes(1);
+    const fields = createdQuery.select.mock.calls[0][0].split(' ');
+    expect(fields).toEqual(expect.arrayContaining(['title', 'acceptedBy', 'responses']));
+    ['reports', 'declines', 'notifiedUsers', 'notifiedAt', 'matching'].forEach(field => {
+      expect(fields).not.toContain(field);
+    });
+  });
+});
+
+describe('ExportService.processQueuedExports', () => {
+  const exportId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(DataExport, 'updateMany').mockResolvedValue({});
+    jest.spyOn(DataExport, 'find').mockReturnValue({
+      select: () => ({ sort: () => ({ limit: async () => [{ _id: exportId }] }) })
+    });
+    jest.spyOn(ExportService, 'processExport').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fails stalled builds out of attempts and requeues the rest', async () => {
+    await ExportService.processQueuedExports();
+
+    const [[failFilter, failUpdate], [retryFilter, retryUpdate]] = DataExport.updateMany.mock.calls;
+    expect(failFilter).toMatchObject({ status: 'processing', attempts: { $gte: 3 } });
+    expect(failUpdate.status).toBe('failed');
+    expect(retryFilter.status).toBe('processing');
+    expect(retryFilter.updatedAt.$lte).toBeInstanceOf(Date);
+    expect(retryUpdate).toEqual({ status: 'pending' });
+  });
+
+  it('builds queued exports and keeps going when one fails', async () => {
+    DataExport.find.mockReturnValue({
+      select: () => ({ sort: () => ({ limit: async () => [{ _id: new mongoose.Types.ObjectId() }, { _id: exportId }] }) })
+    });
+    ExportService.processExport.mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const builtCount = await ExportService.processQueuedExports();
+
+    expect(ExportService.processExport).toHaveBeenCalledWith(exportId);
+    expect(builtCount).toBe(1);
+  });
+});
+
+describe('ExportService.findInProgress', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ignores stalled exports so the user can request a new one', async () => {
+    const findOne = jest.spyOn(DataExport, 'findOne').mockResolvedValue(null);
+
+    await ExportService.findInProgress('user-id');
+
+    const [filter] = findOne.mock.calls[0];
+    expect(filter.status).toEqual({ $in: ['pending', 'processing'] });
+    expect(filter.updatedAt.$gt.getTime()).toBeGreaterThan(Date.now() - 31 * 60 * 1000);
+  });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Request = require('../../models/Request');
+const HelperEvent = require('../../models/HelperEvent');
+const MetricsService = require('../../services/metricsService');
+
+const driftedId = new mongoose.Types.ObjectId();
+const accurateId = new mongoose.Types.ObjectId();
+
+const accurateStats = {
+  requestsSent: 1,
+  requestsAccepted: 0,
+  averageResponseTime: 0,
+  responseTimeSamples: 0,
+  commitments: 0,
+  completions: 0,
+  cancellations: 0,
+  noShows: 0
+};
+
+describe('MetricsService.reconcile', () => {
+  let pages;
+
+  beforeEach(() => {
+    pages = [[
+      { _id: driftedId, stats: { requestsSent: 0, requestsAccepted: -2, averageResponseTime: 0 } },
+      { _id: accurateId, stats: accurateStats }
+    ]];
+
+    jest.spyOn(User, 'find').mockImplementation(() => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        limit: () => query,
+        lean: async () => pages.shift() || []
+      };
+      return query;
+    });
+    jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+
+    jest.spyOn(Request, 'aggregate').mockImplementation(async (pipeline) => (
+      pipeline[0].$match.requester
+        ? [{ _id: driftedId, count: 2 }, { _id: accurateId, count: 1 }]
+        : [{ _id: driftedId, count: 3 }]
+    ));
+    jest.spyOn(HelperEvent, 'aggregate').mockResolvedValue([{
+      _id: driftedId,
+      averageResponseTime: 4.5,
+      responseTimeSamples: 2,
+      commitments: 2,
+      completions: 1,
+      cancellations: 1,
+      noShows: 1
+    }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rewrites only users whose counters drifted', async () => {
+    const corrected = await MetricsService.reconcile();
+
+    expect(corrected).toBe(1);
+    const [operations] = User.bulkWrite.mock.calls[0];
+    expect(operations).toHaveLength(1);
+    expect(operations[0].updateOne.filter).toEqual({ _id: driftedId });
+    expect(operations[0].updateOne.update.$set).toEqual({
+      'stats.requestsSent': 2,
+      'stats.requestsAccepted': 3,
+      'stats.averageResponseTime': 4.5,
+      'stats.responseTimeSamples': 2,
+      'stats.commitments': 2,
+      'stats.completions': 1,
+      'stats.cancellations': 1,
+      'stats.noShows': 1
+    });
+  });
+
+  it('writes nothing when every counter is right', async () => {
+    pages = [[{ _id: accurateId, stats: accurateStats }]];
+    Request.aggregate.mockImplementation(async (pipeline) => (
+      pipeline[0].$match.requester ? [{ _id: accurateId, count: 1 }] : []
+    ));
+    HelperEvent.aggregate.mockResolvedValue([]);
+
+    expect(await MetricsService.reconcile()).toBe(0);
+    expect(User.bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('MetricsService.getRates', () => {
+  it('derives rates from commitments', () => {
+    expect(MetricsService.getRates({ commitments: 4, completions: 3, cancellations: 1, noShows: 0 })).toEqual({
+      completionRate: 0.75,
+      cancellationRate: 0.25,
+      noShowRate: 0
+    });
+  });
+
+  it('has no rates before the first commitment', () => {
+    expect(MetricsService.getRates({ commitments: 0 })).toEqual({
+      completionRate: null,
+      cancellationRate: null,
+      noShowRate: null
+    });
+  });
+});
+
+describe('MetricsService.isNoShow', () => {
+  it('counts any drop-out on a request needed right away', () => {
+    expect(MetricsService.isNoShow({ createdAt: new Date() })).toBe(true);
+  });
+
+  it('only counts drop-outs close to the start of a scheduled request', () => {
+    expect(MetricsService.isNoShow({ startsAt: new Date(Date.now() + 3 * 60 * 60 * 1000) })).toBe(false);
+    expect(MetricsService.isNoShow({ startsAt: new Date(Date.now() + 30 * 60 * 1000) })).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../../utils/redisClient', () => ({
+  redisClient: { isOpen: true, hGetAll: jest.fn() }
+}));
+
+const { redisClient } = require('../../utils/redisClient');
+const User = require('../../models/User');
+const ProximityService = require('../../services/proximityService');
+
+// Origin in central London and a user about 4km north of it
+const ORIGIN = { latitude: 51.5007, longitude: -0.1246 };
+const FAR_USER = { id: '507f1f77bcf86cd799439011', latitude: 51.5367, longitude: -0.1246 };
+
+describe('ProximityService.findNearbyUsers', () => {
+  let cells;
+
+  beforeEach(() => {
+    const farCell = ProximityService.getCellId(FAR_USER.latitude, FAR_USER.longitude);
+    cells = { [farCell]: { [FAR_USER.id]: `${FAR_USER.latitude},${FAR_USER.longitude}` } };
+
+    redisClient.hGetAll.mockReset();
+    redisClient.hGetAll.mockImplementation(async (cellId) => cells[cellId] || {});
+
+    jest.spyOn(User, 'find').mockImplementation((filter) => ({
+      select: async () => (filter._id ? filter._id.$in.map(_id => ({ _id })) : [])
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not return users outside the radius', async () => {
+    const users = await ProximityService.findNearbyUsers(ORIGIN.latitude, ORIGIN.longitude, 2);
+
+    expect(users).toEqual([]);
+  });
+
+  it('reaches users beyond the cells next to the origin when the radius is widened', async () => {
+    const users = await ProximityService.findNearbyUsers(ORIGIN.latitude, ORIGIN.longitude, 4.5);
+
+    expect(users.map(user => user._id)).toEqual([FAR_USER.id]);
+    // Far more than the old 3x3 block of cells is searched
+    expect(redisClient.hGetAll.mock.calls.length).toBeGreaterThan(9);
+  });
+
+  it('falls back to MongoDB for radii that would cover too many cells', async () => {
+    const users = await ProximityService.findNearbyUsers(ORIGIN.latitude, ORIGIN.longitude, 40);
+
+    expect(redisClient.hGetAll).not.toHaveBeenCalled();
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+      location: { $near: expect.objectContaining({ $maxDistance: 40000 }) }
+    }));
+    expect(users).toBeDefined();
+  });
+});
+
+describe('ProximityService.getCellSpan', () => {
+  it('needs more cells east and west at higher latitudes', () => {
+    const equator = ProximityService.getCellSpan(0, 5);
+    const north = ProximityService.getCellSpan(60, 5);
+
+    expect(north.spanY).toBe(equator.spanY);
+    expect(north.spanX).toBeGreaterThan(equator.spanX);
+  });
+
+  it('always covers the cells next to the origin', () => {
+    expect(ProximityService.getCellSpan(51.5, 0.1)).toEqual({ spanX: 1, spanY: 1 });
+  });
+});
@@ -0,0 +1,56 @@
+const Request = require('../../models/Request');
+const RequestSeries = require('../../models/RequestSeries');
+const User = require('../../models/User');
+const RequestSchedulingService = require('../../services/requestSchedulingService');
+
+const HOUR = 60 * 60 * 1000;
+
+const buildSeries = (startsAt, leadMinutes) => new RequestSeries({
+  requester: '507f1f77bcf86cd799439011',
+  template: {
+    title: 'Weekly shopping',
+    description: 'Help carrying groceries',
+    type: 'assistance',
+    location: { type: 'Point', coordinates: [-0.1246, 51.5007] }
+  },
+  startsAt,
+  recurrence: { frequency: 'daily' },
+  leadMinutes,
+  nextOccurrenceAt: startsAt
+});
+
+describe('RequestSchedulingService.materializeNext', () => {
+  beforeEach(() => {
+    jest.spyOn(Request, 'create').mockImplementation(async (fields) => fields);
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RequestSeries, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({
+      nextOccurrenceAt: update.nextOccurrenceAt,
+      status: update.status,
+      occurrenceCount: 1
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('schedules an occurrence whose broadcast time has already passed', async () => {
+    // A lead time longer than the look-ahead window puts the broadcast in the past
+    const series = buildSeries(new Date(Date.now() + 2 * HOUR), 24 * 60);
+
+    const request = await RequestSchedulingService.materializeNext(series);
+
+    expect(request.status).toBe('scheduled');
+    expect(request.broadcastAt.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(request.publishedAt).toBeUndefined();
+  });
+
+  it('leaves a due first occurrence live for the caller to publish', async () => {
+    const series = buildSeries(new Date(Date.now() + 2 * HOUR), 24 * 60);
+
+    const request = await RequestSchedulingService.materializeNext(series, { alwaysSchedule: false });
+
+    expect(request.status).toBeUndefined();
+    expect(request.publishedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  toSortObject,
+  buildPage,
+  paginateQuery
+} = require('../../utils/pagination');
+
+const NEWEST_FIRST = [
+  { field: 'createdAt', order: -1, type: 'date' },
+  { field: '_id', order: -1, type: 'objectId' }
+];
+
+const buildItem = (createdAt) => ({ _id: new mongoose.Types.ObjectId(), createdAt: new Date(createdAt) });
+
+describe('parseLimit', () => {
+  it('falls back to the default for missing or invalid limits', () => {
+    expect(parseLimit(undefined)).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('abc')).toBe(DEFAULT_LIMIT);
+    expect(parseLimit('0')).toBe(DEFAULT_LIMIT);
+    expect(parseLimit(-5)).toBe(DEFAULT_LIMIT);
+  });
+
+  it('caps limits at the maximum', () => {
+    expect(parseLimit('10')).toBe(10);
+    expect(parseLimit(1000)).toBe(MAX_LIMIT);
+    expect(parseLimit(1000, 100)).toBe(100);
+  });
+});
+
+describe('cursors', () => {
+  it('round-trips dates, object ids and nested fields', () => {
+    const sort = [
+      { field: 'lastMessage.timestamp', order: -1, type: 'date' },
+      { field: '_id', order: -1, type: 'objectId' }
+    ];
+    const item = { _id: new mongoose.Types.ObjectId(), lastMessage: { timestamp: new Date('2026-05-01T10:00:00Z') } };
+
+    const [timestamp, id] = decodeCursor(sort, encodeCursor(sort, item));
+
+    expect(timestamp).toEqual(item.lastMessage.timestamp);
+    expect(id.equals(item._id)).toBe(true);
+  });
+
+  it('keeps missing values as null', () => {
+    const sort = [{ field: 'lastMessage.timestamp', order: -1, type: 'date' }, { field: '_id', order: 1, type: 'objectId' }];
+    const item = { _id: new mongoose.Types.ObjectId() };
+
+    expect(decodeCursor(sort, encodeCursor(sort, item))[0]).toBeNull();
+  });
+
+  it('treats tampered or mismatched cursors as invalid', () => {
+    expect(decodeCursor(NEWEST_FIRST, 'not-a-cursor')).toBeNull();
+    expect(decodeCursor(NEWEST_FIRST, Buffer.from('{"a":1}').toString('base64url'))).toBeNull();
+    expect(decodeCursor(NEWEST_FIRST, encodeCursor([{ field: '_id', order: 1 }], buildItem(0)))).toBeNull();
+    expect(decodeCursor(NEWEST_FIRST, undefined)).toBeNull();
+  });
+});
+
+describe('buildCursorQuery', () => {
+  it('matches items after the cursor, breaking ties on later keys', () => {
+    const createdAt = new Date('2026-05-01T10:00:00Z');
+    const id = new mongoose.Types.ObjectId();
+
+    expect(buildCursorQuery(NEWEST_FIRST, [createdAt, id])).toEqual({
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: id } }
+      ]
+    });
+  });
+
+  it('uses $gt for ascending keys', () => {
+    expect(buildCursorQuery([{ field: 'distance', order: 1 }], [2.5])).toEqual({ $or: [{ distance: { $gt: 2.5 } }] });
+  });
+});
+
+describe('toSortObject', () => {
+  it('keeps the key order of the sort spec', () => {
+    expect(Object.entries(toSortObject(NEWEST_FIRST))).toEqual([['createdAt', -1], ['_id', -1]]);
+  });
+});
+
+describe('buildPage', () => {
+  const items = [buildItem(3000), buildItem(2000), buildItem(1000)];
+
+  it('returns a cursor for the last item when there are more', () => {
+    const page = buildPage(items, 2, NEWEST_FIRST);
+
+    expect(page.items).toEqual(items.slice(0, 2));
+    expect(page.pagination.hasMore).toBe(true);
+    expect(decodeCursor(NEWEST_FIRST, page.pagination.nextCursor)[1].equals(items[1]._id)).toBe(true);
+  });
+
+  it('has no cursor on the last page', () => {
+    const page = buildPage(items, 3, NEWEST_FIRST);
+
+    expect(page.items).toHaveLength(3);
+    expect(page.pagination).toEqual({ limit: 3, hasMore: false, nextCursor: null });
+  });
+});
+
+describe('paginateQuery', () => {
+  const buildQuery = (results) => {
+    const query = {
+      and: jest.fn(() => query),
+      sort: jest.fn(() => query),
+      limit: jest.fn(async () => results)
+    };
+    return query;
+  };
+
+  it('fetches one extra item to tell whether there is another page', async () => {
+    const query = buildQuery([buildItem(2000), buildItem(1000)]);
+
+    const page = await paginateQuery(query, NEWEST_FIRST, { limit: 1 });
+
+    expect(query.and).not.toHaveBeenCalled();
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(2);
+    expect(page.pagination.hasMore).toBe(true);
+  });
+
+  it('continues after a cursor', async () => {
+    const last = buildItem(2000);
+    const query = buildQuery([]);
+
+    await paginateQuery(query, NEWEST_FIRST, { limit: 1, cursor: encodeCursor(NEWEST_FIRST, last) });
+
+    const [[condition]] = query.and.mock.calls[0];
+    expect(condition.$or[0]).toEqual({ createdAt: { $lt: last.createdAt } });
+  });
+
+  it('returns null for an invalid cursor without querying', async () => {
+    const query = buildQuery([]);
+
+    expect(await paginateQuery(query, NEWEST_FIRST, { limit: 1, cursor: 'bogus' })).toBeNull();
+    expect(query.limit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+const { normalizePhone, maskPhone } = require('../../utils/phone');
+
+describe('normalizePhone', () => {
+  const originalCountryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE;
+
+  afterEach(() => {
+    if (originalCountryCode === undefined) {
+      delete process.env.DEFAULT_PHONE_COUNTRY_CODE;
+    } else {
+      process.env.DEFAULT_PHONE_COUNTRY_CODE = originalCountryCode;
+    }
+  });
+
+  it('keeps numbers already in E.164', () => {
+    expect(normalizePhone('+919876543210')).toBe('+919876543210');
+  });
+
+  it('strips spaces, dashes, dots and brackets', () => {
+    expect(normalizePhone('+44 (20) 7946-0958')).toBe('+442079460958');
+    expect(normalizePhone('+1.415.555.0132')).toBe('+14155550132');
+  });
+
+  it('turns a 00 international prefix into +', () => {
+    expect(normalizePhone('0044 20 7946 0958')).toBe('+442079460958');
+  });
+
+  it('assumes the default country for national numbers, dropping the trunk prefix', () => {
+    delete process.env.DEFAULT_PHONE_COUNTRY_CODE;
+    expect(normalizePhone('09876543210')).toBe('+919876543210');
+
+    process.env.DEFAULT_PHONE_COUNTRY_CODE = '+44';
+    expect(normalizePhone('020 7946 0958')).toBe('+442079460958');
+  });
+
+  it('treats long digit strings as already carrying a country code', () => {
+    expect(normalizePhone('919876543210')).toBe('+919876543210');
+  });
+
+  it('accepts numbers given as numbers', () => {
+    delete process.env.DEFAULT_PHONE_COUNTRY_CODE;
+    expect(normalizePhone(9876543210)).toBe('+919876543210');
+  });
+
+  it('rejects values that cannot be phone numbers', () => {
+    expect(normalizePhone('call me')).toBeNull();
+    expect(normalizePhone('+12')).toBeNull();
+    expect(normalizePhone('+0123456789')).toBeNull();
+    expect(normalizePhone(null)).toBeNull();
+    expect(normalizePhone({ $ne: '' })).toBeNull();
+  });
+});
+
+describe('maskPhone', () => {
+  it('shows only the country prefix and last two digits', () => {
+    expect(maskPhone('+919876543210')).toBe('+91********10');
+  });
+
+  it('returns an empty string when there is no number', () => {
+    expect(maskPhone(undefined)).toBe('');
+  });
+});
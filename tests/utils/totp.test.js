@@ -0,0 +1,48 @@
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri, getStep } = require('../../utils/totp');
+
+// The SHA1 secret from RFC 6238 appendix B, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, getStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('generates base32 secrets of 160 bits', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  it('accepts codes from the current step and one step either side', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1111111109 * 1000);
+    const step = getStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  it('builds an otpauth URI authenticator apps understand', () => {
+    const uri = buildOtpauthUri(RFC_SECRET, 'ann@example.com', 'HelpMate');
+
+    expect(uri).toBe(
+      'otpauth://totp/HelpMate%3Aann%40example.com' +
+      `?secret=${RFC_SECRET}&issuer=HelpMate&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
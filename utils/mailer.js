@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes every message to the console. Default transport for development.
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+// Writes every message as a JSON file into an outbox directory so flows like
+// password reset can be exercised offline.
+const createFileTransport = (outboxDir) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(outboxDir, `${id}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { id, path: filePath };
+  }
+});
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'file':
+      return createFileTransport(
+        process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox')
+      );
+    case 'console':
+    default:
+      return consoleTransport;
+  }
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Plug in a custom transport. Anything with an async send({ to, subject, text }) works.
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  getTransport() {
+    // Resolved lazily so MAIL_TRANSPORT is read after dotenv has loaded
+    if (!this.transport) {
+      this.transport = createTransport(process.env.MAIL_TRANSPORT);
+    }
+    return this.transport;
+  }
+
+  // Send a plain text email
+  async send({ to, subject, text }) {
+    try {
+      return await this.getTransport().send({
+        from: process.env.MAIL_FROM || 'HelpMate <no-reply@helpmate.app>',
+        to,
+        subject,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending email:', error);
+      return null;
+    }
+  }
+
+  // Send password reset instructions
+  async sendPasswordReset(user, resetToken) {
+    const resetUrl = `${getClientUrl()}/reset-password?token=${resetToken}`;
+    const minutes = process.env.PASSWORD_RESET_EXPIRE_MINUTES || 30;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your HelpMate password',
+      text: `Hi ${user.name},\n\n` +
+        'We received a request to reset your HelpMate password. ' +
+        `Use the link below within ${minutes} minutes to choose a new one:\n\n` +
+        `${resetUrl}\n\n` +
+        `Reset code: ${resetToken}\n\n` +
+        'If you did not request this, you can safely ignore this email.'
+    });
+  }
+
+  // Send the email address verification link
+  async sendEmailVerification(user, verifyUrl) {
+    const hours = process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your HelpMate email address',
+      text: `Hi ${user.name},\n\n` +
+        'Welcome to HelpMate! Please confirm your email address by opening the link below ' +
+        `within ${hours} hours:\n\n` +
+        `${verifyUrl}\n\n` +
+        'If you did not create an account, you can safely ignore this email.'
+    });
+  }
+}
+
+function getClientUrl() {
+  return (process.env.CLIENT_URL || 'helpmate://app').replace(/\/$/, '');
+}
+
+module.exports = new Mailer();
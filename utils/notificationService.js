@@ -189,14 +189,321 @@ class NotificationService {
     }
   }
 
+  // Tell the requester a helper has withdrawn their offer
+  async notifyOfferWithdrawn(request, helper, freedSlot) {
+    try {
+      const User = require('../models/User');
+
+      const requester = await User.findById(request.requester).select('deviceTokens');
+
+      if (requester && requester.deviceTokens && requester.deviceTokens.length > 0) {
+        const tokens = requester.deviceTokens.map(dt => dt.token);
+
+        await this.sendToMultipleDevices(
+          tokens,
+          freedSlot ? 'Helper Dropped Out' : 'Offer Withdrawn',
+          freedSlot
+            ? `${helper.name} can no longer help with "${request.title}"`
+            : `${helper.name} withdrew their offer for "${request.title}"`,
+          {
+            type: 'offer_withdrawn',
+            requestId: request._id.toString(),
+            helperId: helper._id.toString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying offer withdrawal:', error);
+    }
+  }
+
+  // Send notification to a helper when the requester confirms or rejects their offer
+  async notifyAcceptanceDecision(request, helperId, decision) {
+    try {
+      const User = require('../models/User');
+
+      const helper = await User.findById(helperId).select('deviceTokens name');
+
+      if (helper && helper.deviceTokens && helper.deviceTokens.length > 0) {
+        const tokens = helper.deviceTokens.map(dt => dt.token);
+        const confirmed = decision === 'confirmed';
+
+        await this.sendToMultipleDevices(
+          tokens,
+          confirmed ? 'You\'re confirmed!' : 'Offer declined',
+          confirmed
+            ? `You have been confirmed to help with "${request.title}"`
+            : `The requester has chosen other helpers for "${request.title}"`,
+          {
+            type: 'acceptance_decision',
+            requestId: request._id.toString(),
+            decision,
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying acceptance decision:', error);
+    }
+  }
+
+  // Send notification when a waitlisted user moves up to a pending offer
+  async notifyWaitlistPromotion(request, userId) {
+    try {
+      const User = require('../models/User');
+
+      const user = await User.findById(userId).select('deviceTokens name');
+
+      if (user && user.deviceTokens && user.deviceTokens.length > 0) {
+        const tokens = user.deviceTokens.map(dt => dt.token);
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'A spot opened up!',
+          `You moved off the waitlist for "${request.title}". The requester will confirm who helps.`,
+          {
+            type: 'waitlist_promoted',
+            requestId: request._id.toString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying waitlist promotion:', error);
+    }
+  }
+
+  // Tell a requester that escalation reached no one willing to help
+  async notifyNoHelpersAvailable(request) {
+    try {
+      const User = require('../models/User');
+
+      const requester = await User.findById(request.requester).select('deviceTokens');
+
+      if (requester && requester.deviceTokens && requester.deviceTokens.length > 0) {
+        const tokens = requester.deviceTokens.map(dt => dt.token);
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'No helpers available yet',
+          `Nobody has responded to "${request.title}" even after widening the search. Consider contacting local services directly.`,
+          {
+            type: 'no_helpers_available',
+            requestId: request._id.toString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying no helpers available:', error);
+    }
+  }
+
+  // Tell the requester and everyone still involved that a request expired
+  async notifyRequestExpired(request) {
+    try {
+      const User = require('../models/User');
+
+      const userIds = [
+        request.requester,
+        ...request.acceptedBy
+          .filter(a => !['cancelled', 'rejected'].includes(a.status))
+          .map(a => a.user)
+      ];
+
+      const users = await User.find({ _id: { $in: userIds } }).select('deviceTokens');
+
+      const tokens = [];
+      users.forEach(user => {
+        if (user.deviceTokens && user.deviceTokens.length > 0) {
+          user.deviceTokens.forEach(dt => {
+            tokens.push(dt.token);
+          });
+        }
+      });
+
+      if (tokens.length > 0) {
+        await this.sendToMultipleDevices(
+          tokens,
+          'Request Expired',
+          `The ${request.type} request "${request.title}" has expired`,
+          {
+            type: 'request_status_change',
+            requestId: request._id.toString(),
+            status: 'expired',
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying request expiry:', error);
+    }
+  }
+
+  // Remind the requester that their request is about to expire
+  async notifyRequestExpiringSoon(request) {
+    try {
+      const User = require('../models/User');
+
+      const requester = await User.findById(request.requester).select('deviceTokens');
+
+      if (requester && requester.deviceTokens && requester.deviceTokens.length > 0) {
+        const tokens = requester.deviceTokens.map(dt => dt.token);
+        const minutes = Math.max(1, Math.round((request.expiresAt - Date.now()) / 60000));
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'Your request expires soon',
+          `"${request.title}" expires in ${minutes} minutes. Extend it to keep looking for help.`,
+          {
+            type: 'request_expiring_soon',
+            requestId: request._id.toString(),
+            expiresAt: request.expiresAt.toISOString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying request expiring soon:', error);
+    }
+  }
+
+  // Tell helpers with a standing offer what the requester changed
+  async notifyRequestEdited(request, changes) {
+    try {
+      const User = require('../models/User');
+
+      const fieldLabels = {
+        title: 'title',
+        description: 'description',
+        address: 'address',
+        coordinates: 'location',
+        radius: 'radius',
+        maxAcceptors: 'number of helpers',
+        expiresAt: 'expiry time'
+      };
+
+      const acceptors = await User.find({
+        _id: {
+          $in: request.acceptedBy
+            .filter(a => ['pending', 'confirmed'].includes(a.status))
+            .map(a => a.user)
+        }
+      }).select('deviceTokens');
+
+      const tokens = [];
+      acceptors.forEach(acceptor => {
+        if (acceptor.deviceTokens && acceptor.deviceTokens.length > 0) {
+          acceptor.deviceTokens.forEach(dt => {
+            tokens.push(dt.token);
+          });
+        }
+      });
+
+      if (tokens.length > 0) {
+        const changed = [...new Set(changes.map(change => fieldLabels[change.field] || change.field))];
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'Request Updated',
+          `"${request.title}" was updated: ${changed.join(', ')} changed`,
+          {
+            type: 'request_edited',
+            requestId: request._id.toString(),
+            fields: changes.map(change => change.field).join(','),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying request edit:', error);
+    }
+  }
+
+  // Tell the requester someone asked a question about their request
+  async notifyNewQuestion(request, asker, question) {
+    try {
+      const User = require('../models/User');
+
+      const requester = await User.findById(request.requester).select('deviceTokens');
+
+      if (requester && requester.deviceTokens && requester.deviceTokens.length > 0) {
+        const tokens = requester.deviceTokens.map(dt => dt.token);
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'New Question',
+          `${asker.name} asked about "${request.title}": ${question.message}`,
+          {
+            type: 'request_question',
+            requestId: request._id.toString(),
+            questionId: question._id.toString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying new question:', error);
+    }
+  }
+
+  // Tell the other side of a question thread about a new reply
+  async notifyQuestionReply(request, replier, recipientId, question) {
+    try {
+      const User = require('../models/User');
+
+      const recipient = await User.findById(recipientId).select('deviceTokens');
+
+      if (recipient && recipient.deviceTokens && recipient.deviceTokens.length > 0) {
+        const tokens = recipient.deviceTokens.map(dt => dt.token);
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'New Answer',
+          `${replier.name} replied about "${request.title}"`,
+          {
+            type: 'request_question_reply',
+            requestId: request._id.toString(),
+            questionId: question._id.toString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying question reply:', error);
+    }
+  }
+
+  // Tell a user someone has reviewed them
+  async notifyNewReview(request, reviewer, revieweeId, rating) {
+    try {
+      const User = require('../models/User');
+
+      const reviewee = await User.findById(revieweeId).select('deviceTokens');
+
+      if (reviewee && reviewee.deviceTokens && reviewee.deviceTokens.length > 0) {
+        const tokens = reviewee.deviceTokens.map(dt => dt.token);
+
+        await this.sendToMultipleDevices(
+          tokens,
+          'New Review',
+          `${reviewer.name} rated you ${rating}/5 for "${request.title}"`,
+          {
+            type: 'new_review',
+            requestId: request._id.toString(),
+            reviewerId: reviewer._id.toString(),
+          }
+        );
+      }
+    } catch (error) {
+      console.error('Error notifying new review:', error);
+    }
+  }
+
   // Send notification when request status changes
   async notifyRequestStatusChange(request, newStatus, changer) {
     try {
       const User = require('../models/User');
 
-      // Get all acceptors
+      // Get all acceptors whose offer is still standing
       const acceptors = await User.find({
-        _id: { $in: request.acceptedBy.map(a => a.user) }
+        _id: {
+          $in: request.acceptedBy
+            .filter(a => !['cancelled', 'rejected'].includes(a.status))
+            .map(a => a.user)
+        }
       }).select('deviceTokens name');
 
       const tokens = [];
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Clamps a requested page size.
+ * @param {string|number} limit
+ * @param {number} [max]
+ * @returns {number}
+ */
+const parseLimit = (limit, max = MAX_LIMIT) => {
+  const value = parseInt(limit);
+  if (!value || value < 1) return DEFAULT_LIMIT;
+  return Math.min(value, max);
+};
+
+// Turn a stored sort value back into the type it was encoded from
+const reviveValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'date') return new Date(value);
+  if (type === 'objectId') return new mongoose.Types.ObjectId(value);
+  return value;
+};
+
+/**
+ * Encodes the sort values of the last item on a page into an opaque cursor.
+ * @param {Array<{field: string, order: number, type?: string}>} sort Sort
+ * keys, ending with a unique key such as `_id`.
+ * @param {object} item
+ * @returns {string}
+ */
+const encodeCursor = (sort, item) => {
+  const values = sort.map(({ field }) => {
+    const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), item);
+    return value instanceof mongoose.Types.ObjectId ? value.toString() : value;
+  });
+
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor made by encodeCursor for the same sort.
+ * @param {Array<{field: string, order: number, type?: string}>} sort
+ * @param {string} cursor
+ * @returns {Array|null} The sort values, or null when the cursor is invalid.
+ */
+const decodeCursor = (sort, cursor) => {
+  if (!cursor) return null;
+
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== sort.length) return null;
+
+    return values.map((value, index) => reviveValue(value, sort[index].type));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Builds a query matching the items that come after the cursor position in
+ * the given sort order.
+ * @param {Array<{field: string, order: number, type?: string}>} sort
+ * @param {Array} values Values decoded from the cursor.
+ * @returns {object}
+ */
+const buildCursorQuery = (sort, values) => {
+  const conditions = sort.map(({ field, order }, index) => {
+    const condition = {};
+
+    // Equal on every earlier key, past the cursor on this one
+    sort.slice(0, index).forEach((earlier, earlierIndex) => {
+      condition[earlier.field] = values[earlierIndex];
+    });
+    condition[field] = { [order === 1 ? '$gt' : '$lt']: values[index] };
+
+    return condition;
+  });
+
+  return { $or: conditions };
+};
+
+/**
+ * Converts a sort spec to a MongoDB sort object.
+ * @param {Array<{field: string, order: number}>} sort
+ * @returns {object}
+ */
+const toSortObject = (sort) => Object.fromEntries(sort.map(({ field, order }) => [field, order]));
+
+/**
+ * Splits a result fetched with `limit + 1` into a page and the cursor for
+ * the next one.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Array<{field: string, order: number, type?: string}>} sort
+ * @returns {{items: Array, pagination: {limit: number, hasMore: boolean, nextCursor: string|null}}}
+ */
+const buildPage = (items, limit, sort) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null
+    }
+  };
+};
+
+/**
+ * Runs one page of a Mongoose find query in the given sort order.
+ * @param {object} query A Mongoose query, with its filter and populates set.
+ * @param {Array<{field: string, order: number, type?: string}>} sort
+ * @param {{limit: number, cursor?: string}} options
+ * @returns {Promise<{items: Array, pagination: object}|null>} Null when the
+ * cursor is invalid.
+ */
+const paginateQuery = async (query, sort, { limit, cursor }) => {
+  const after = decodeCursor(sort, cursor);
+  if (cursor && !after) return null;
+
+  if (after) query.and([buildCursorQuery(sort, after)]);
+
+  const items = await query.sort(toSortObject(sort)).limit(limit + 1);
+  return buildPage(items, limit, sort);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  toSortObject,
+  buildPage,
+  paginateQuery
+};
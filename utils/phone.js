@@ -0,0 +1,43 @@
+// Country calling code assumed for numbers entered without one
+const getDefaultCountryCode = () => (process.env.DEFAULT_PHONE_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalizes a phone number to E.164 (e.g. +919876543210).
+ * @param {string} value The phone number as entered by the user.
+ * @returns {string|null} The normalized number, or null if it cannot be normalized.
+ */
+function normalizePhone(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+  let phone = String(value).trim().replace(/[\s().-]/g, '');
+
+  if (phone.startsWith('00')) {
+    phone = `+${phone.slice(2)}`;
+  }
+
+  if (!phone.startsWith('+')) {
+    if (!/^\d+$/.test(phone)) return null;
+
+    // Drop a national trunk prefix, then assume the default country
+    const national = phone.replace(/^0+/, '');
+    phone = national.length <= 10
+      ? `+${getDefaultCountryCode()}${national}`
+      : `+${national}`;
+  }
+
+  return E164_PATTERN.test(phone) ? phone : null;
+}
+
+/**
+ * Masks all but the last digits of a phone number for display.
+ * @param {string} phone
+ * @returns {string}
+ */
+function maskPhone(phone) {
+  if (!phone) return '';
+  return `${phone.slice(0, 3)}${'*'.repeat(Math.max(phone.length - 5, 0))}${phone.slice(-2)}`;
+}
+
+module.exports = { normalizePhone, maskPhone };
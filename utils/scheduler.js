@@ -1,29 +1,164 @@
+const crypto = require('crypto');
 const cron = require('node-cron');
-const Request = require('../models/Request');
+const { redisClient } = require('./redisClient');
+const AccountDeletionService = require('../services/accountDeletionService');
+const EscalationService = require('../services/escalationService');
+const ExportService = require('../services/exportService');
+const MatchingService = require('../services/matchingService');
+const MetricsService = require('../services/metricsService');
+const RequestExpiryService = require('../services/requestExpiryService');
+const RequestSchedulingService = require('../services/requestSchedulingService');
+
+// Deletes the lock only if this instance still holds it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Runs a job on only one server instance at a time, using a Redis lock that
+ * expires on its own if the holder dies mid-run.
+ * @param {string} name Job name, used for the lock key and logs.
+ * @param {number} ttlSeconds How long the lock may be held.
+ * @param {Function} job Async function to run while holding the lock.
+ */
+const runExclusive = async (name, ttlSeconds, job) => {
+  const key = `lock:job:${name}`;
+  const token = crypto.randomBytes(16).toString('hex');
+
+  try {
+    const acquired = await redisClient.set(key, token, {
+      expiration: { type: 'EX', value: ttlSeconds },
+      condition: 'NX'
+    });
+    if (!acquired) return;
 
-// Run every hour to clean up expired requests
-const cleanupExpiredRequests = () => {
-  cron.schedule('0 * * * *', async () => {
     try {
-      const expiredRequests = await Request.updateMany(
-        {
-          expiresAt: { $lte: new Date() },
-          status: 'active'
-        },
-        {
-          status: 'expired'
-        }
-      );
+      await job();
+    } finally {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, { keys: [key], arguments: [token] });
+    }
+  } catch (error) {
+    console.error(`Error running ${name} job:`, error);
+  }
+};
+
+// Run every minute to expire requests, closing their chats and telling everyone involved
+const cleanupExpiredRequests = (io) => {
+  cron.schedule('* * * * *', () => runExclusive('expire-requests', 55, async () => {
+    const expiredCount = await RequestExpiryService.expireDueRequests(io);
+
+    if (expiredCount > 0) {
+      console.log(`Expired ${expiredCount} requests`);
+    }
+  }));
+};
+
+// Run every minute to remind requesters shortly before their request expires
+const sendExpiryReminders = (io) => {
+  cron.schedule('* * * * *', () => runExclusive('expiry-reminders', 55, async () => {
+    const reminderCount = await RequestExpiryService.sendExpiryReminders(io);
 
-      if (expiredRequests.modifiedCount > 0) {
-        console.log(`Expired ${expiredRequests.modifiedCount} requests`);
-      }
-    } catch (error) {
-      console.error('Error cleaning up expired requests:', error);
+    if (reminderCount > 0) {
+      console.log(`Sent ${reminderCount} expiry reminders`);
     }
-  });
+  }));
+};
+
+// Run every hour to delete accounts whose grace period has passed
+const processScheduledDeletions = (io) => {
+  cron.schedule('30 * * * *', () => runExclusive('account-deletions', 55 * 60, async () => {
+    const deletedCount = await AccountDeletionService.processDueDeletions(io);
+
+    if (deletedCount > 0) {
+      console.log(`Deleted ${deletedCount} accounts`);
+    }
+  }));
+};
+
+// Run every minute to widen the search for unanswered requests
+const runRequestEscalations = (io) => {
+  cron.schedule('* * * * *', () => runExclusive('request-escalations', 55, async () => {
+    const escalatedCount = await EscalationService.processDueEscalations(io);
+
+    if (escalatedCount > 0) {
+      console.log(`Escalated ${escalatedCount} requests`);
+    }
+  }));
+};
+
+// Run every minute to create upcoming series occurrences and broadcast
+// scheduled requests whose lead time has come
+const publishScheduledRequests = (io) => {
+  cron.schedule('* * * * *', () => runExclusive('scheduled-requests', 55, async () => {
+    const createdCount = await RequestSchedulingService.materializeDueOccurrences();
+    const publishedCount = await RequestSchedulingService.publishDueRequests(io);
+
+    if (createdCount > 0) {
+      console.log(`Created ${createdCount} recurring request occurrences`);
+    }
+
+    if (publishedCount > 0) {
+      console.log(`Published ${publishedCount} scheduled requests`);
+    }
+  }));
+};
+
+// Run every minute to notify the next wave of ranked helpers
+const sendMatchingWaves = (io) => {
+  cron.schedule('* * * * *', () => runExclusive('matching-waves', 55, async () => {
+    const waveCount = await MatchingService.processDueWaves(io);
+
+    if (waveCount > 0) {
+      console.log(`Sent ${waveCount} matching waves`);
+    }
+  }));
+};
+
+// Run nightly to correct user stats counters that drifted from the source data
+const reconcileUserStats = () => {
+  cron.schedule('15 4 * * *', () => runExclusive('reconcile-stats', 55 * 60, async () => {
+    const correctedCount = await MetricsService.reconcile();
+
+    if (correctedCount > 0) {
+      console.log(`Reconciled stats for ${correctedCount} users`);
+    }
+  }));
+};
+
+// Run every five minutes to build data exports a restart left queued or stalled
+const processDataExports = () => {
+  cron.schedule('*/5 * * * *', () => runExclusive('data-exports', 4 * 60 + 55, async () => {
+    const builtCount = await ExportService.processQueuedExports();
+
+    if (builtCount > 0) {
+      console.log(`Built ${builtCount} queued data exports`);
+    }
+  }));
+};
+
+// Start every background job; call once Redis is connected
+const startScheduler = (io) => {
+  cleanupExpiredRequests(io);
+  sendExpiryReminders(io);
+  processScheduledDeletions(io);
+  runRequestEscalations(io);
+  publishScheduledRequests(io);
+  sendMatchingWaves(io);
+  reconcileUserStats();
+  processDataExports();
 };
 
 module.exports = {
-  cleanupExpiredRequests
-};
\ No newline at end of file
+  startScheduler,
+  cleanupExpiredRequests,
+  sendExpiryReminders,
+  processScheduledDeletions,
+  runRequestEscalations,
+  publishScheduledRequests,
+  sendMatchingWaves,
+  reconcileUserStats,
+  processDataExports
+};
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Appends every message to a log file. Default transport for development.
+const createLogTransport = (logFile) => ({
+  name: 'log',
+  async send(message) {
+    await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+    await fs.promises.appendFile(
+      logFile,
+      `${new Date().toISOString()} To: ${message.to} | ${message.text}\n`
+    );
+    return { id: `log-${Date.now()}` };
+  }
+});
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'log':
+    default:
+      return createLogTransport(
+        process.env.SMS_LOG_FILE || path.join(__dirname, '../logs/sms.log')
+      );
+  }
+};
+
+class SmsService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Plug in a provider. Anything with an async send({ to, text }) works.
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error('SMS transport must implement send(message)');
+    }
+    this.transport = transport;
+  }
+
+  getTransport() {
+    // Resolved lazily so SMS_TRANSPORT is read after dotenv has loaded
+    if (!this.transport) {
+      this.transport = createTransport(process.env.SMS_TRANSPORT);
+    }
+    return this.transport;
+  }
+
+  // Send a text message to an E.164 phone number
+  async send(to, text) {
+    try {
+      return await this.getTransport().send({ to, text });
+    } catch (error) {
+      console.error('Error sending SMS:', error);
+      return null;
+    }
+  }
+
+  // Send a phone verification code
+  async sendVerificationCode(phone, code, ttlMinutes) {
+    return this.send(
+      phone,
+      `Your HelpMate verification code is ${code}. It expires in ${ttlMinutes} minutes.`
+    );
+  }
+}
+
+module.exports = new SmsService();